@@ -1,5 +1,6 @@
 
 // LocalStorage helper
+// Fallback for browsers without IndexedDB; every change rewrites the whole array
 const LocalStorage = {
     STORAGE_KEY: 'bachelor_house_data',
 
@@ -31,6 +32,379 @@ const LocalStorage = {
             console.error('Failed to clear localStorage:', e);
             return false;
         }
+    },
+
+    async loadAll() {
+        return this.load();
+    },
+
+    async write({ put = [], remove = [] }) {
+        const removedIds = new Set(remove.map(r => r.__backendId));
+        const putById = new Map(put.map(r => [r.__backendId, r]));
+        const data = this.load()
+            .filter(d => !removedIds.has(d.__backendId) && !putById.has(d.__backendId));
+        return this.save([...data, ...putById.values()]);
+    }
+};
+
+// IndexedDB helper
+// One object store per record type, so a change only writes the records it touches
+const IndexedStore = {
+    DB_NAME: 'bachelor_house',
+    db: null,
+    migratedLegacyData: false,
+
+    // Entry N upgrades the database to version N + 1; append new entries, never edit shipped ones
+    migrations: [
+        (db, tx) => {
+            const stores = {
+                member: [],
+                bill: [['date', 'date']],
+                payment: [['member_id', 'member_id'], ['date', 'date']],
+                meal_entry: [['member_id', 'member_id'], ['date', 'meal_date']],
+                meal_off: [['member_id', 'member_id'], ['date', 'from_date']],
+                bill_template: [],
+                month_close: [['date', 'month']],
+                settings: [],
+                other: []
+            };
+            Object.entries(stores).forEach(([name, indexes]) => {
+                const store = db.createObjectStore(name, { keyPath: '__backendId' });
+                indexes.forEach(([indexName, keyPath]) => store.createIndex(indexName, keyPath));
+            });
+
+            // Data saved under the old localStorage key moves into the new stores
+            const legacyData = LocalStorage.load();
+            legacyData.forEach(record => {
+                if (!record.__backendId) record.__backendId = generateLocalId();
+                tx.objectStore(IndexedStore.storeFor(record.type, db)).put(record);
+            });
+            IndexedStore.migratedLegacyData = legacyData.length > 0;
+        },
+        (db) => {
+            const store = db.createObjectStore('audit', { keyPath: '__backendId' });
+            store.createIndex('record_id', 'record_id');
+            store.createIndex('date', 'at');
+        }
+    ],
+
+    storeFor(type, db = this.db) {
+        return db.objectStoreNames.contains(type) ? type : 'other';
+    },
+
+    open() {
+        return new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(false);
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.migrations.length);
+            request.onupgradeneeded = (e) => {
+                for (let version = e.oldVersion; version < this.migrations.length; version++) {
+                    this.migrations[version](request.result, request.transaction);
+                }
+            };
+            // A tab still holding an older version has to close before the upgrade can run
+            request.onblocked = () => {
+                showToast('⚠️ Close this app in your other tabs to finish updating its storage');
+                clearTimeout(toastTimer);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version opened in another tab upgrade; this tab stops saving until reloaded
+                this.db.onversionchange = () => {
+                    this.close();
+                    showToast('⚠️ The app was updated in another tab. Reload this tab to keep saving');
+                    clearTimeout(toastTimer);
+                };
+                // Only drop the old key once the migration transaction has committed
+                if (this.migratedLegacyData) {
+                    LocalStorage.clear();
+                    this.migratedLegacyData = false;
+                }
+                resolve(true);
+            };
+            request.onerror = () => {
+                console.error('Failed to open IndexedDB:', request.error);
+                resolve(false);
+            };
+        });
+    },
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    },
+
+    loadAll() {
+        if (!this.db) return Promise.resolve([]);
+
+        return new Promise(resolve => {
+            const storeNames = Array.from(this.db.objectStoreNames);
+            const tx = this.db.transaction(storeNames, 'readonly');
+            const data = [];
+            storeNames.forEach(name => {
+                tx.objectStore(name).getAll().onsuccess = (e) => data.push(...e.target.result);
+            });
+            tx.oncomplete = () => resolve(data.sort((a, b) => a.__backendId.localeCompare(b.__backendId)));
+            tx.onerror = () => {
+                console.error('Failed to load from IndexedDB:', tx.error);
+                resolve([]);
+            };
+        });
+    },
+
+    // Deletes run before puts, so a record can be removed and re-added in one write
+    write({ put = [], remove = [] }) {
+        const records = [...remove, ...put];
+        if (records.length === 0) return Promise.resolve(true);
+        if (!this.db) return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const tx = this.db.transaction([...new Set(records.map(r => this.storeFor(r.type)))], 'readwrite');
+            remove.forEach(r => tx.objectStore(this.storeFor(r.type)).delete(r.__backendId));
+            put.forEach(r => tx.objectStore(this.storeFor(r.type)).put(r));
+            tx.oncomplete = () => resolve(true);
+            tx.onabort = () => {
+                console.error('Failed to save to IndexedDB:', tx.error);
+                resolve(false);
+            };
+        });
+    }
+};
+
+// REST sync helper
+// The local store stays the source of truth; changes queue here and are pushed when the server is reachable.
+// Each record carries updated_at and the newer side wins. The API is described in sync-server/README.md
+const RemoteSync = {
+    STORAGE_KEY: 'bachelor_house_sync',
+    INTERVAL_MS: 30000,
+    state: { url: '', cursor: 0, queue: {}, last_synced: null },
+    status: 'idle',
+    error: '',
+    syncing: false,
+    timer: null,
+    debounce: null,
+    // Bumped by stop() so a sync still in flight for another house drops its results
+    generation: 0,
+
+    loadState() {
+        this.state = { url: '', cursor: 0, queue: {}, last_synced: null };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+            if (saved) this.state = { ...this.state, ...saved };
+        } catch (e) {
+            console.error('Failed to load sync state:', e);
+        }
+    },
+
+    saveState() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.state));
+        } catch (e) {
+            console.error('Failed to save sync state:', e);
+        }
+    },
+
+    isConfigured() {
+        return !!this.state.url;
+    },
+
+    pendingCount() {
+        return Object.keys(this.state.queue).length;
+    },
+
+    setStatus(status, error = '') {
+        this.status = status;
+        this.error = error;
+        renderSyncStatus();
+    },
+
+    // A later operation on the same record replaces the queued one
+    enqueue(put, remove, timestamp) {
+        if (!this.isConfigured()) return;
+
+        remove.forEach(r => {
+            this.state.queue[r.__backendId] = { op: 'delete', __backendId: r.__backendId, type: r.type, updated_at: timestamp };
+        });
+        put.forEach(r => {
+            this.state.queue[r.__backendId] = { op: 'put', __backendId: r.__backendId, updated_at: r.updated_at || '', record: r };
+        });
+        this.saveState();
+        this.scheduleSync();
+    },
+
+    scheduleSync() {
+        clearTimeout(this.debounce);
+        this.debounce = setTimeout(() => this.sync(), 1000);
+    },
+
+    start() {
+        this.stop();
+        if (!this.isConfigured()) return;
+        this.timer = setInterval(() => this.sync(), this.INTERVAL_MS);
+        this.sync();
+    },
+
+    // Everything already on this device is offered to the server; records it has newer copies of come back as conflicts
+    connect(url) {
+        const queue = {};
+        allData.forEach(r => {
+            queue[r.__backendId] = { op: 'put', __backendId: r.__backendId, updated_at: r.updated_at || '', record: r };
+        });
+        this.state = { url: url.replace(/\/+$/, ''), cursor: 0, queue, last_synced: null };
+        this.saveState();
+        this.start();
+    },
+
+    stop() {
+        clearInterval(this.timer);
+        clearTimeout(this.debounce);
+        this.generation++;
+        this.syncing = false;
+        this.status = 'idle';
+    },
+
+    disconnect() {
+        this.stop();
+        this.state = { url: '', cursor: 0, queue: {}, last_synced: null };
+        this.saveState();
+        this.setStatus('idle');
+    },
+
+    async request(path, options = {}) {
+        const response = await fetch(this.state.url + path, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        if (!response.ok) throw new Error(`Server replied ${response.status}`);
+        return response.json();
+    },
+
+    async sync() {
+        if (!this.isConfigured() || this.syncing) return;
+
+        const generation = this.generation;
+        this.syncing = true;
+        this.setStatus('syncing');
+        try {
+            const operations = Object.values(this.state.queue);
+            const changes = [];
+
+            if (operations.length > 0) {
+                const pushed = await this.request('/records/batch', {
+                    method: 'POST',
+                    body: JSON.stringify({ operations })
+                });
+                if (generation !== this.generation) return;
+                const sentAt = new Map(operations.map(op => [op.__backendId, op.updated_at]));
+                pushed.results.forEach(result => {
+                    // Edits made while the request was in flight stay queued for the next round
+                    const queued = this.state.queue[result.__backendId];
+                    if (queued && queued.updated_at === sentAt.get(result.__backendId)) {
+                        delete this.state.queue[result.__backendId];
+                    }
+                    if (result.status === 'conflict' && result.record) changes.push(result.record);
+                });
+            }
+
+            const feed = await this.request(`/records?since=${encodeURIComponent(this.state.cursor)}`);
+            if (generation !== this.generation) return;
+            changes.push(...feed.changes);
+            await this.applyRemoteChanges(changes, generation);
+            if (generation !== this.generation) return;
+
+            this.state.cursor = feed.cursor;
+            this.state.last_synced = new Date().toISOString();
+            this.saveState();
+            this.setStatus('synced');
+        } catch (e) {
+            if (generation !== this.generation) return;
+            console.warn('Sync failed:', e);
+            this.saveState();
+            this.setStatus('offline', e.message);
+        } finally {
+            if (generation === this.generation) this.syncing = false;
+        }
+    },
+
+    // Runs in the write queue, so the checks below see every local save that came before it.
+    // A house switch while it waits means the changes belong to the previous house's store.
+    applyRemoteChanges(changes, generation) {
+        return runExclusiveWrite(async () => {
+            if (generation !== this.generation) return;
+            const putById = new Map();
+            const removedIds = new Set();
+
+            changes.forEach(change => {
+                const queued = this.state.queue[change.__backendId];
+                if (queued && queued.updated_at > change.updated_at) return;
+                delete this.state.queue[change.__backendId];
+
+                const local = allData.find(d => d.__backendId === change.__backendId);
+                if (change.deleted) {
+                    if (local && change.updated_at >= (local.updated_at || '')) {
+                        removedIds.add(change.__backendId);
+                        putById.delete(change.__backendId);
+                    }
+                } else if (!local || change.updated_at > (local.updated_at || '')) {
+                    putById.set(change.__backendId, change);
+                    removedIds.delete(change.__backendId);
+                }
+            });
+
+            const duplicates = this.findDuplicates(putById, removedIds);
+            duplicates.forEach(record => {
+                putById.delete(record.__backendId);
+                if (allData.some(d => d.__backendId === record.__backendId)) removedIds.add(record.__backendId);
+            });
+
+            if (putById.size === 0 && removedIds.size === 0) return;
+
+            const remove = allData.filter(d => removedIds.has(d.__backendId));
+            if (!await localStore.write({ put: [...putById.values()], remove })) {
+                throw new Error('Could not save synced changes');
+            }
+
+            const existingIds = new Set(allData.map(d => d.__backendId));
+            allData = allData
+                .filter(d => !removedIds.has(d.__backendId))
+                .map(d => putById.get(d.__backendId) || d);
+            allData.push(...[...putById.values()].filter(r => !existingIds.has(r.__backendId)));
+            // Deleting the losing copies on the server lets the other devices drop them too
+            this.enqueue([], duplicates, new Date().toISOString());
+            updateAllViews();
+        });
+    },
+
+    // Records saved before they had natural ids can exist twice with different ids (settings,
+    // a month close, a member's meals for a day). The newest copy wins; ties go to the natural id,
+    // then the larger id, so every device picks the same one.
+    findDuplicates(putById, removedIds) {
+        const records = new Map(allData.map(d => [d.__backendId, d]));
+        removedIds.forEach(id => records.delete(id));
+        putById.forEach((record, id) => records.set(id, record));
+
+        const kept = new Map();
+        const duplicates = [];
+        records.forEach(record => {
+            const naturalId = getNaturalId(record);
+            if (!naturalId) return;
+
+            const other = kept.get(naturalId);
+            if (!other) {
+                kept.set(naturalId, record);
+                return;
+            }
+
+            const rank = r => [r.updated_at || '', r.__backendId === naturalId ? 1 : 0, r.__backendId];
+            const [a, b] = [rank(record), rank(other)];
+            const recordWins = a[0] !== b[0] ? a[0] > b[0] : a[1] !== b[1] ? a[1] > b[1] : a[2] > b[2];
+            kept.set(naturalId, recordWins ? record : other);
+            duplicates.push(recordWins ? other : record);
+        });
+        return duplicates;
     }
 };
 
@@ -41,8 +415,26 @@ let bills = [];
 let payments = [];
 let mealEntries = [];
 let useLocalStorage = true;
-let filterMonth = null;
+let localStore = LocalStorage;
+let houses = [];
+let activeHouseId = null;
+let editingHouseId = null;
+let currencySymbol = '৳';
+let selectedMonth = null;
 let searchQuery = '';
+let balanceCache = new Map();
+let houseSettingsCache = null;
+let editingMemberId = null;
+let editingBillId = null;
+let editingPaymentId = null;
+let pendingImport = null;
+let pendingCsvImport = null;
+let deletingMemberId = null;
+let billTemplates = [];
+let mealOffs = [];
+let viewingMemberId = null;
+let reviewedTemplateMonths = new Set();
+let reviewingTemplateMonth = null;
 
 const defaultConfig = {
     app_title: "Bachelor House Meal Manager",
@@ -53,8 +445,239 @@ const defaultConfig = {
     settlement_title: "Month-End Settlement"
 };
 
+const billTypeLabels = {
+    market: 'Market/Food',
+    electricity: 'Electricity',
+    gas: 'Gas',
+    internet: 'Internet',
+    rent: 'House Rent',
+    garbage: 'Garbage',
+    fridge: 'Fridge',
+    other: 'Other'
+};
+
+// 'meal' bills are charged through the meal rate, 'fixed' bills by their split rule
+const defaultSettings = {
+    bill_categories: {
+        market: 'meal',
+        electricity: 'fixed',
+        gas: 'fixed',
+        internet: 'fixed',
+        rent: 'fixed',
+        garbage: 'fixed',
+        fridge: 'fixed',
+        other: 'fixed'
+    },
+    slot_weights: {
+        breakfast: 0.5,
+        lunch: 1,
+        dinner: 1
+    }
+};
+
+// House settings
+// Read for every meal entry, so the merged settings are kept until the next render
+function getHouseSettings() {
+    if (!houseSettingsCache) houseSettingsCache = buildHouseSettings();
+    return houseSettingsCache;
+}
+
+function buildHouseSettings() {
+    const record = allData.find(d => d.type === 'settings') || {};
+    return {
+        ...defaultSettings,
+        ...record,
+        bill_categories: { ...defaultSettings.bill_categories, ...(record.bill_categories || {}) },
+        // Settings saved before meal slots only had a breakfast weight
+        slot_weights: {
+            ...defaultSettings.slot_weights,
+            ...(record.breakfast_weight !== undefined ? { breakfast: record.breakfast_weight } : {}),
+            ...(record.slot_weights || {})
+        }
+    };
+}
+
+async function saveHouseSettings(changes) {
+    const existing = allData.find(d => d.type === 'settings');
+
+    if (!existing) {
+        return await createRecord({ type: 'settings', id: 'house_settings', ...changes });
+    }
+
+    return await updateRecord({ ...existing, ...changes });
+}
+
+// Meal units
+// A day's entry holds the slots taken (weighted), plain meal counts, and guest meals billed to the host.
+// Entries saved before slots only have meal_count, and possibly a weighted breakfast_count.
+const mealSlots = ['breakfast', 'lunch', 'dinner'];
+const mealSlotLabels = { breakfast: '🍳 Breakfast', lunch: '🍛 Lunch', dinner: '🍲 Dinner' };
+const mealFields = ['meal_count', 'breakfast_count', 'guest_count'];
+
+function getMealUnits(entry) {
+    const weights = getHouseSettings().slot_weights;
+    const slotUnits = mealSlots.reduce((sum, slot) => sum + (entry.slots && entry.slots[slot] ? weights[slot] : 0), 0);
+
+    return slotUnits +
+        (entry.meal_count || 0) +
+        (entry.breakfast_count || 0) * weights.breakfast +
+        (entry.guest_count || 0);
+}
+
+// Meal off schedules
+// A meal_off record turns a member's slots off for an inclusive date range
+function getMealOffSlots(memberId, dateKey) {
+    const offSlots = new Set();
+    mealOffs
+        .filter(o => o.member_id === memberId && dateKey >= o.from_date && dateKey <= o.to_date)
+        .forEach(o => (o.slots || mealSlots).forEach(slot => offSlots.add(slot)));
+    return mealSlots.filter(slot => offSlots.has(slot));
+}
+
+function isMealOffAllDay(memberId, dateKey) {
+    return getMealOffSlots(memberId, dateKey).length === mealSlots.length;
+}
+
+// Clears the off slots; a whole day off also clears plain counts (guests stay with the host)
+function applyMealOff(entry, offSlots) {
+    const updated = { ...entry, slots: { ...(entry.slots || {}) } };
+    offSlots.forEach(slot => { updated.slots[slot] = false; });
+    if (offSlots.length === mealSlots.length) {
+        updated.meal_count = 0;
+        updated.breakfast_count = 0;
+    }
+    return updated;
+}
+
+// Everyone living in the house is expected unless their schedule says otherwise
+function getSlotHeadcount(dateKey) {
+    const headcount = {};
+    mealSlots.forEach(slot => {
+        headcount[slot] = members.filter(m =>
+            isMemberActiveOnDate(m, dateKey) && !getMealOffSlots(m.id, dateKey).includes(slot)
+        ).length;
+    });
+    return headcount;
+}
+
+// Meal planning
+const mealPlanLookbackDays = 14;
+
+// Calendar and legacy entries carry only a count, so any meals that day count as every slot taken
+function isSlotTaken(entry, slot) {
+    if (entry.slots && Object.keys(entry.slots).length > 0) return !!entry.slots[slot];
+    return getMealUnits(entry) - (entry.guest_count || 0) > 0;
+}
+
+// A member is expected for a slot when they took it on at least half of their recent recorded days
+function predictMemberMeals(member, dateKey) {
+    const offSlots = getMealOffSlots(member.id, dateKey);
+    const planned = mealEntries.find(m => m.member_id === member.id && m.meal_date === dateKey);
+    const history = mealEntries.filter(m =>
+        m.member_id === member.id && m.meal_date < dateKey && m.meal_date >= shiftDateKey(dateKey, -mealPlanLookbackDays)
+    );
+
+    const slots = {};
+    mealSlots.forEach(slot => {
+        if (offSlots.includes(slot)) slots[slot] = false;
+        else if (planned) slots[slot] = isSlotTaken(planned, slot);
+        else if (history.length === 0) slots[slot] = true;
+        else slots[slot] = history.filter(entry => isSlotTaken(entry, slot)).length * 2 >= history.length;
+    });
+
+    const guests = planned ? (planned.guest_count || 0) :
+        history.length > 0 ? Math.round(history.reduce((sum, entry) => sum + (entry.guest_count || 0), 0) / history.length) : 0;
+
+    return { slots, guests, offSlots };
+}
+
+// Months without pooled bills yet fall back to last month's rate
+function getPlanningMealRate(dateKey) {
+    const monthKey = getMonthKey(dateKey);
+    return BachelorHouseMealManager.mealRate(monthKey) || BachelorHouseMealManager.mealRate(shiftMonthKey(monthKey, -1));
+}
+
+function buildMealPlan(dateKey) {
+    const weights = getHouseSettings().slot_weights;
+    const plan = {
+        date: dateKey,
+        headcount: Object.fromEntries(mealSlots.map(slot => [slot, 0])),
+        off: Object.fromEntries(mealSlots.map(slot => [slot, []])),
+        guests: 0,
+        units: 0
+    };
+
+    members.filter(m => isMemberActiveOnDate(m, dateKey)).forEach(member => {
+        const prediction = predictMemberMeals(member, dateKey);
+        mealSlots.forEach(slot => {
+            if (prediction.slots[slot]) {
+                plan.headcount[slot]++;
+                plan.units += weights[slot];
+            }
+        });
+        prediction.offSlots.forEach(slot => plan.off[slot].push(member.name));
+        plan.guests += prediction.guests;
+    });
+
+    plan.units += plan.guests;
+    plan.rate = getPlanningMealRate(dateKey);
+    plan.budget = plan.units * plan.rate;
+    return plan;
+}
+
+function renderMealPlan() {
+    const container = document.getElementById('meal-plan-container');
+    const plan = buildMealPlan(shiftDateKey(toDateKey(new Date()), 1));
+
+    document.getElementById('meal-plan-date').textContent = formatShortDate(plan.date);
+    container.innerHTML = `
+        <div class="meal-plan">
+          ${mealSlots.map(slot => `
+            <div class="meal-plan-slot">
+              <div class="card-label">${mealSlotLabels[slot]}</div>
+              <div class="card-value primary">${plan.headcount[slot]}</div>
+              <div class="form-hint">${plan.off[slot].length > 0 ? `Off: ${plan.off[slot].join(', ')}` : 'Nobody off'}</div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="settlement-rates">
+          <span>👥 Guests: <strong>${plan.guests}</strong></span>
+          <span>🍽️ Expected: <strong>${formatMeals(plan.units)}</strong> meals</span>
+          <span>🛒 Market budget: <strong>${plan.rate > 0 ? `${currencySymbol}${plan.budget.toFixed(0)}` : 'No meal rate yet'}</strong></span>
+        </div>
+        <p class="form-hint">Based on meal off schedules and the last ${mealPlanLookbackDays} days of meals.</p>
+      `;
+}
+
+function isEmptyMealEntry(entry) {
+    return mealFields.every(f => !entry[f]) && mealSlots.every(slot => !(entry.slots && entry.slots[slot]));
+}
+
+function formatMeals(count) {
+    return parseFloat(count.toFixed(2)).toString();
+}
+
+function getBillCategory(bill) {
+    return getHouseSettings().bill_categories[bill.bill_type] || 'fixed';
+}
+
 // Element SDK
+// Title edits from the editor are saved to the house being viewed; its app title is the house name
 async function onConfigChange(config) {
+    const house = houses.find(h => h.id === activeHouseId);
+    if (house) {
+        const titles = { ...house.titles };
+        Object.keys(defaultConfig).forEach(key => {
+            if (config[key]) titles[key] = config[key];
+        });
+        houses = houses.map(h => h.id === house.id ? { ...h, name: titles.app_title, titles } : h);
+        saveHouses();
+        renderHouseSwitcher();
+    }
+    applyTitles(config);
+}
+
+function applyTitles(config) {
     const appTitle = config.app_title || defaultConfig.app_title;
     const dashboardTitle = config.dashboard_title || defaultConfig.dashboard_title;
     const membersTitle = config.members_title || defaultConfig.members_title;
@@ -101,39 +724,142 @@ function mapToEditPanelValues(config) {
     ]);
 }
 
-// Filter helpers
-function getFilteredData() {
-    let filteredBills = bills;
-    let filteredPayments = payments;
-    let filteredMealEntries = mealEntries;
+// Month helpers
+function getMonthKey(dateStr) {
+    return dateStr ? dateStr.slice(0, 7) : '';
+}
 
-    if (filterMonth) {
-        const [year, month] = filterMonth.split('-').map(Number);
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
-        filteredBills = bills.filter(b => {
-            const billDate = new Date(b.date);
-            return billDate.getFullYear() === year && billDate.getMonth() === month - 1;
-        });
+function getCurrentMonthKey() {
+    return getMonthKey(toDateKey(new Date()));
+}
 
-        filteredPayments = payments.filter(p => {
-            const paymentDate = new Date(p.date);
-            return paymentDate.getFullYear() === year && paymentDate.getMonth() === month - 1;
-        });
+function getSelectedMonthKey() {
+    return selectedMonth || getCurrentMonthKey();
+}
 
-        filteredMealEntries = mealEntries.filter(m => {
-            const mealDate = new Date(m.meal_date);
-            return mealDate.getFullYear() === year && mealDate.getMonth() === month - 1;
-        });
-    }
+function getDaysInMonth(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month, 0).getDate();
+}
+
+function getMonthDates(monthKey) {
+    return Array.from({ length: getDaysInMonth(monthKey) }, (_, i) => `${monthKey}-${String(i + 1).padStart(2, '0')}`);
+}
+
+function shiftMonthKey(monthKey, offset) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const date = new Date(year, month - 1 + offset, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function shiftDateKey(dateKey, offset) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return toDateKey(new Date(year, month - 1, day + offset));
+}
+
+function formatMonthKey(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+}
+
+function getRecordDate(record) {
+    return record.type === 'meal_entry' ? record.meal_date : record.date;
+}
+
+function getEarliestMonthKey() {
+    const monthKeys = [...bills, ...payments, ...mealEntries].map(r => getMonthKey(getRecordDate(r))).filter(Boolean);
+    return monthKeys.length > 0 ? monthKeys.sort()[0] : null;
+}
+
+// Month close
+function getMonthClose(monthKey) {
+    return allData.find(d => d.type === 'month_close' && d.month === monthKey);
+}
+
+function isRecordLocked(record) {
+    if (!['bill', 'payment', 'meal_entry'].includes(record.type)) return false;
+    return !!getMonthClose(getMonthKey(getRecordDate(record)));
+}
+
+// Member lifecycle
+// Members who left keep their history; leave_date is the last day they count as living in the house
+function hasLeft(member) {
+    return !!member.leave_date;
+}
+
+function isMemberActiveInMonth(member, monthKey) {
+    return (!member.join_date || getMonthKey(member.join_date) <= monthKey) &&
+        (!member.leave_date || getMonthKey(member.leave_date) >= monthKey);
+}
+
+function isMemberActiveOnDate(member, dateKey) {
+    return (!member.join_date || dateKey >= member.join_date) &&
+        (!member.leave_date || dateKey <= member.leave_date);
+}
+
+function describeAbsence(member, dateKey) {
+    return member.join_date && dateKey < member.join_date ?
+        `Joins on ${formatShortDate(member.join_date)}` :
+        `Left on ${formatShortDate(member.leave_date)}`;
+}
+
+// Days between join_date and leave_date that fall inside the month, both ends included
+function getResidentDays(member, monthKey) {
+    const monthStart = `${monthKey}-01`;
+    const monthEnd = `${monthKey}-${String(getDaysInMonth(monthKey)).padStart(2, '0')}`;
+    const from = member.join_date && member.join_date > monthStart ? member.join_date : monthStart;
+    const to = member.leave_date && member.leave_date < monthEnd ? member.leave_date : monthEnd;
+    if (from > to) return 0;
+
+    return Math.round((new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / 86400000) + 1;
+}
+
+function isBillMember(bill, memberId) {
+    return (Array.isArray(bill.participants) && bill.participants.includes(memberId)) ||
+        (!!bill.split_values && bill.split_values[memberId] !== undefined) ||
+        (!!bill.paid_by && bill.paid_by[memberId] !== undefined);
+}
+
+function hasMonthActivity(memberId, monthKey) {
+    return payments.some(p => (p.member_id === memberId || p.paid_to === memberId) && getMonthKey(p.date) === monthKey) ||
+        mealEntries.some(m => m.member_id === memberId && getMonthKey(m.meal_date) === monthKey) ||
+        bills.some(b => getMonthKey(b.date) === monthKey && isBillMember(b, memberId));
+}
+
+// Former members stay listed while they still have records or an unsettled balance in the month
+function getMembersForMonth(monthKey = getSelectedMonthKey()) {
+    return members.filter(m =>
+        isMemberActiveInMonth(m, monthKey) ||
+        hasMonthActivity(m.id, monthKey) ||
+        Math.abs(BachelorHouseMealManager.closingBalance(m.id, shiftMonthKey(monthKey, -1))) >= 0.5
+    );
+}
+
+function formatShortDate(dateKey) {
+    return new Date(dateKey + 'T00:00:00').toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Filter helpers
+function getFilteredData() {
+    const monthKey = getSelectedMonthKey();
 
-    return { filteredBills, filteredPayments, filteredMealEntries };
+    const filteredBills = bills.filter(b => getMonthKey(b.date) === monthKey);
+    const filteredPayments = payments.filter(p => getMonthKey(p.date) === monthKey);
+    const filteredMealEntries = mealEntries.filter(m => getMonthKey(m.meal_date) === monthKey);
+
+    return { filteredBills, filteredPayments, filteredMealEntries, monthKey };
 }
 
 function getFilteredMembers() {
-    if (!searchQuery) return members;
+    const monthMembers = getMembersForMonth();
+    if (!searchQuery) return monthMembers;
 
     const query = searchQuery.toLowerCase();
-    return members.filter(m =>
+    return monthMembers.filter(m =>
         m.name.toLowerCase().includes(query) ||
         (m.phone && m.phone.includes(query))
     );
@@ -145,319 +871,576 @@ function updateAllViews() {
     bills = allData.filter(d => d.type === 'bill');
     payments = allData.filter(d => d.type === 'payment');
     mealEntries = allData.filter(d => d.type === 'meal_entry');
+    billTemplates = allData.filter(d => d.type === 'bill_template');
+    mealOffs = allData.filter(d => d.type === 'meal_off');
+    balanceCache = new Map();
+    houseSettingsCache = null;
 
+    renderRolePanel();
     renderMembersTable();
     renderMembersList();
+    renderMemberDetail();
+    renderRecurringBanner();
     renderBills();
     renderPayments();
     renderMealsGrid();
     renderSettlement();
+    renderHistory();
     updateDashboardStats();
     updatePaymentMemberSelect();
 }
 
-// Data SDK Handler
-const dataHandler = {
-    onDataChanged(data) {
-        allData = data;
-        updateAllViews();
-    }
-};
+// Houses
+// Each house has its own database, localStorage key and sync state; this registry only lists them.
+// The first house keeps the original storage names so existing data stays where it was.
+const HOUSES_KEY = 'bachelor_house_houses';
+const DEFAULT_HOUSE_ID = 'default';
 
-// Initialize
-async function initializeApp() {
-    setupEventListeners();
+function createHouse(name, currency) {
+    return {
+        id: houses.length === 0 ? DEFAULT_HOUSE_ID : `house_${Date.now()}`,
+        name: name,
+        currency: currency,
+        titles: { ...defaultConfig, app_title: name }
+    };
+}
 
-    if (window.elementSdk) {
-        await window.elementSdk.init({
-            defaultConfig,
-            onConfigChange,
-            mapToCapabilities,
-            mapToEditPanelValues
-        });
+function loadHouses() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HOUSES_KEY) || 'null');
+        houses = saved ? saved.houses : [];
+        activeHouseId = saved ? saved.active : null;
+    } catch (e) {
+        console.error('Failed to load houses:', e);
+        houses = [];
     }
 
-    if (window.dataSdk) {
-        useLocalStorage = false;
-        const result = await window.dataSdk.init(dataHandler);
-        if (!result.isOk) {
-            console.warn('Data SDK failed, falling back to localStorage');
-            useLocalStorage = true;
-        }
-    }
+    if (houses.length === 0) houses.push(createHouse(defaultConfig.app_title, '৳'));
+    if (!houses.some(h => h.id === activeHouseId)) activeHouseId = houses[0].id;
+}
 
-    if (useLocalStorage) {
-        allData = LocalStorage.load();
-        updateAllViews();
-        showToast('💾 Using local storage mode (data saved in your browser)');
+function saveHouses() {
+    try {
+        localStorage.setItem(HOUSES_KEY, JSON.stringify({ active: activeHouseId, houses }));
+    } catch (e) {
+        console.error('Failed to save houses:', e);
     }
-
-    updateMonthDisplay();
 }
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-    initializeApp();
+function getActiveHouse() {
+    return houses.find(h => h.id === activeHouseId) || houses[0];
 }
 
-// CRUD operations
-async function createRecord(record) {
-    if (useLocalStorage) {
-        record.__backendId = 'local_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
+async function openHouseStore() {
+    const suffix = activeHouseId === DEFAULT_HOUSE_ID ? '' : `_${activeHouseId}`;
+    LocalStorage.STORAGE_KEY = `bachelor_house_data${suffix}`;
+    IndexedStore.DB_NAME = `bachelor_house${suffix}`;
+    RemoteSync.STORAGE_KEY = `bachelor_house_sync${suffix}`;
 
-    if (useLocalStorage) {
-        allData.push(record);
-        LocalStorage.save(allData);
-        updateAllViews();
-        return { isOk: true };
-    } else if (window.dataSdk) {
-        return await window.dataSdk.create(record);
+    RemoteSync.stop();
+    IndexedStore.close();
+    if (await IndexedStore.open()) {
+        localStore = IndexedStore;
+    } else {
+        console.warn('IndexedDB unavailable, falling back to localStorage');
+        localStore = LocalStorage;
     }
-    return { isOk: false };
+    allData = await localStore.loadAll();
+    houseSettingsCache = null;
+
+    RemoteSync.loadState();
+    RemoteSync.start();
 }
 
-async function deleteRecord(record) {
-    if (useLocalStorage) {
-        allData = allData.filter(d => d.__backendId !== record.__backendId);
-        LocalStorage.save(allData);
-        updateAllViews();
-        return { isOk: true };
-    } else if (window.dataSdk) {
-        return await window.dataSdk.delete(record);
-    }
-    return { isOk: false };
+function applyHouseConfig() {
+    const house = getActiveHouse();
+    currencySymbol = house.currency || '৳';
+    applyTitles({ ...house.titles, app_title: house.name });
+
+    document.querySelectorAll('.currency-symbol').forEach(el => {
+        el.textContent = currencySymbol;
+    });
+    document.querySelector('#split-unit option[value="amount"]').textContent = `Amount (${currencySymbol})`;
 }
 
-// Member class
-class Member {
-    constructor(data, usedBills = null, usedPayments = null, usedMealEntries = null) {
-        this.id = data.id;
-        this.name = data.name;
-        this.phone = data.phone || '';
-        this.join_date = data.join_date;
-        this.__backendId = data.__backendId;
-        this.bills = usedBills || bills;
-        this.payments = usedPayments || payments;
-        this.mealEntries = usedMealEntries || mealEntries;
-    }
+// Anything tied to the previous house's records is dropped before the new house renders
+async function switchHouse(houseId) {
+    if (houseId === activeHouseId || !houses.some(h => h.id === houseId)) return;
+
+    activeHouseId = houseId;
+    saveHouses();
+
+    viewingMemberId = null;
+    managerUnlocked = false;
+    actingMemberId = null;
+    pendingImport = null;
+    pendingCsvImport = null;
+    calendarDrafts = new Map();
+    calendarDraft = new Map();
+    calendarDraftMonth = null;
+    reviewedTemplateMonths = new Set();
+    document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'));
+    showPage('dashboard');
+
+    await openHouseStore();
+    applyHouseConfig();
+    updateAllViews();
+    renderHouseSwitcher();
+    showToast(`🏠 Switched to ${getActiveHouse().name}`);
+}
 
-    getMealCountForDate(date) {
-        const meal = this.mealEntries.find(m => m.member_id === this.id && m.meal_date === date);
-        return meal ? meal.meal_count : 0;
-    }
+function renderHouseSwitcher() {
+    const section = document.getElementById('house-switcher');
+    section.style.display = useLocalStorage ? 'block' : 'none';
+    if (!useLocalStorage) return;
 
-    getMonthlyMealTotal() {
-        const year = currentDate.getFullYear();
-        const month = currentDate.getMonth();
+    document.getElementById('house-select').innerHTML = houses
+        .map(h => `<option value="${h.id}" ${h.id === activeHouseId ? 'selected' : ''}>${h.name}</option>`)
+        .join('');
+}
 
-        return this.mealEntries
-            .filter(m => {
-                if (m.member_id !== this.id) return false;
-                const mealDate = new Date(m.meal_date);
-                return mealDate.getFullYear() === year && mealDate.getMonth() === month;
-            })
-            .reduce((sum, m) => sum + m.meal_count, 0);
+function openHouseModal(houseId = null) {
+    const house = houses.find(h => h.id === houseId);
+    editingHouseId = house ? house.id : null;
+
+    document.getElementById('house-modal-title').textContent = house ? 'Rename House' : 'New House';
+    document.getElementById('save-house-text').textContent = house ? '✓ Save Changes' : '✓ Create House';
+    document.getElementById('house-name').value = house ? house.name : '';
+    document.getElementById('house-currency').value = house ? house.currency : currencySymbol;
+    document.getElementById('house-modal').classList.add('active');
+}
+
+function closeHouseModal() {
+    document.getElementById('house-modal').classList.remove('active');
+    document.getElementById('house-form').reset();
+    editingHouseId = null;
+}
+
+async function handleHouseSubmit(e) {
+    e.preventDefault();
+
+    // Houses live outside the record store, so they are not covered by getPermissionError
+    if (!canManage()) {
+        showToast('🔒 Unlock manager mode to change this');
+        return;
     }
 
-    getTotalPaid() {
-        const memberPayments = this.payments.filter(p => p.member_id === this.id);
-        return memberPayments.reduce((sum, p) => sum + p.amount, 0);
+    const name = document.getElementById('house-name').value.trim();
+    const currency = document.getElementById('house-currency').value.trim();
+    if (!name || !currency) {
+        showToast('Enter a house name and currency');
+        return;
+    }
+    if (houses.some(h => h.id !== editingHouseId && h.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`A house named ${name} already exists`);
+        return;
     }
 
-    getTotalBills() {
-        const totalBillAmount = this.bills.reduce((sum, b) => sum + b.amount, 0);
-        const totalMeals = members.reduce((sum, m) => {
-            const memberObj = new Member(m, this.bills, this.payments, this.mealEntries);
-            return sum + memberObj.getMonthlyMealTotal();
-        }, 0);
+    if (editingHouseId) {
+        houses = houses.map(h => h.id === editingHouseId ?
+            { ...h, name, currency, titles: { ...h.titles, app_title: name } } : h);
+        saveHouses();
+        closeHouseModal();
+        applyHouseConfig();
+        updateAllViews();
+        renderHouseSwitcher();
+        showToast('House updated');
+        return;
+    }
+
+    const house = createHouse(name, currency);
+    houses.push(house);
+    saveHouses();
+    closeHouseModal();
+    await switchHouse(house.id);
+}
+
+// Roles
+// Without a PIN everyone can edit, as before. Once a manager sets one, the device starts in member mode:
+// members view reports and change only their own meals until the PIN unlocks manager mode.
+let managerUnlocked = false;
+let actingMemberId = null;
+let pinModalMode = 'unlock';
+
+function hasManagerPin() {
+    return !!getHouseSettings().manager_pin_hash;
+}
+
+function canManage() {
+    return !hasManagerPin() || managerUnlocked;
+}
+
+function canEditMemberMeals(memberId) {
+    return canManage() || (!!actingMemberId && memberId === actingMemberId);
+}
+
+function getPermissionError(records) {
+    if (canManage()) return null;
+
+    const ownMeals = records.every(r => (r.type === 'meal_entry' || r.type === 'meal_off') && canEditMemberMeals(r.member_id));
+    return ownMeals ? null : { isOk: false, error: '🔒 Unlock manager mode to change this' };
+}
 
-        if (totalMeals === 0) return 0;
+async function hashPin(pin, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function renderRolePanel() {
+    document.body.classList.toggle('member-mode', !canManage());
 
-        const mealRate = totalBillAmount / totalMeals;
-        return mealRate * this.getMonthlyMealTotal();
+    const panel = document.getElementById('role-panel');
+    if (!hasManagerPin()) {
+        panel.innerHTML = `
+        <div class="role-status">🔓 Everyone can edit</div>
+        <button class="btn btn-outline btn-sm" onclick="openPinModal('set')">Set Manager PIN</button>
+      `;
+        return;
     }
 
-    getTotalDue() {
-        return Math.max(0, this.getTotalBills() - this.getTotalPaid());
+    if (managerUnlocked) {
+        panel.innerHTML = `
+        <div class="role-status">🛡️ Manager mode</div>
+        <div class="role-actions">
+          <button class="btn btn-outline btn-sm" onclick="lockManagerMode()">Lock</button>
+          <button class="btn btn-outline btn-sm" onclick="openPinModal('set')">Change PIN</button>
+        </div>
+      `;
+        return;
     }
+
+    // Anyone living in the house in the selected month can pick themselves
+    const monthKey = getSelectedMonthKey();
+    panel.innerHTML = `
+        <div class="role-status">👤 Member mode</div>
+        <select class="form-control" onchange="setActingMember(this.value)">
+          <option value="">I am...</option>
+          ${members.filter(m => isMemberActiveInMonth(m, monthKey) || m.id === actingMemberId).map(m => `<option value="${m.id}" ${m.id === actingMemberId ? 'selected' : ''}>${m.name}</option>`).join('')}
+        </select>
+        <button class="btn btn-outline btn-sm" onclick="openPinModal('unlock')">🔑 Manager</button>
+      `;
 }
 
-// Manager class
-class BachelorHouseMealManager {
-    static totalExpense() {
-        return bills.reduce((sum, b) => sum + b.amount, 0);
+window.setActingMember = function (memberId) {
+    actingMemberId = memberId || null;
+    updateAllViews();
+};
+
+window.lockManagerMode = function () {
+    managerUnlocked = false;
+    updateAllViews();
+    showToast('🔒 Manager mode locked');
+};
+
+function openPinModal(mode) {
+    pinModalMode = mode;
+    const setting = mode === 'set';
+
+    document.getElementById('pin-modal-title').textContent = setting ? (hasManagerPin() ? 'Change Manager PIN' : 'Set Manager PIN') : 'Unlock Manager Mode';
+    document.getElementById('pin-current-group').style.display = setting ? 'none' : 'block';
+    document.getElementById('pin-new-group').style.display = setting ? 'block' : 'none';
+    document.getElementById('remove-pin-btn').style.display = setting && hasManagerPin() ? 'block' : 'none';
+    document.getElementById('pin-current').required = !setting;
+    document.getElementById('pin-new').required = setting;
+    document.getElementById('pin-confirm').required = setting;
+    document.getElementById('pin-modal').classList.add('active');
+    document.getElementById(setting ? 'pin-new' : 'pin-current').focus();
+}
+
+window.openPinModal = openPinModal;
+
+function closePinModal() {
+    document.getElementById('pin-modal').classList.remove('active');
+    document.getElementById('pin-form').reset();
+}
+
+async function handlePinSubmit(e) {
+    e.preventDefault();
+
+    if (!window.crypto || !crypto.subtle) {
+        showToast('⚠️ PINs need the app to be opened over https');
+        return;
     }
 
-    static totalDeposits() {
-        const memberObjects = members.map(m => new Member(m));
-        return memberObjects.reduce((sum, m) => sum + m.getTotalPaid(), 0);
+    const settings = getHouseSettings();
+
+    if (pinModalMode === 'unlock') {
+        const pin = document.getElementById('pin-current').value;
+        if (await hashPin(pin, settings.manager_pin_salt) !== settings.manager_pin_hash) {
+            showToast('Incorrect PIN');
+            return;
+        }
+        managerUnlocked = true;
+        closePinModal();
+        updateAllViews();
+        showToast('🛡️ Manager mode unlocked');
+        return;
     }
 
-    static totalDue() {
-        const memberObjects = members.map(m => new Member(m));
-        return memberObjects.reduce((sum, m) => sum + m.getTotalDue(), 0);
+    const pin = document.getElementById('pin-new').value;
+    if (pin.length < 4) {
+        showToast('PIN must be at least 4 characters');
+        return;
+    }
+    if (pin !== document.getElementById('pin-confirm').value) {
+        showToast('PINs do not match');
+        return;
     }
 
-    static settlementReport() {
-        return members.map(m => {
-            const memberObj = new Member(m);
-            return {
-                name: m.name,
-                join_date: m.join_date,
-                total_paid: memberObj.getTotalPaid(),
-                total_bills: memberObj.getTotalBills(),
-                total_due: memberObj.getTotalDue(),
-                monthly_meals: memberObj.getMonthlyMealTotal()
-            };
-        });
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
+    const result = await saveHouseSettings({ manager_pin_salt: salt, manager_pin_hash: await hashPin(pin, salt) });
+
+    if (result.isOk) {
+        // Whoever set the PIN stays in manager mode until they lock it
+        managerUnlocked = true;
+        closePinModal();
+        updateAllViews();
+        showToast('🔑 Manager PIN saved');
+    } else {
+        showToast(result.error || 'Failed to save PIN');
     }
 }
 
-// Render functions
-function renderMembersTable() {
-    const container = document.getElementById('members-table-container');
+async function removeManagerPin() {
+    const result = await saveHouseSettings({ manager_pin_salt: null, manager_pin_hash: null });
 
-    if (members.length === 0) {
-        container.innerHTML = `
-          <div class="empty-state">
-            <div class="empty-icon">👥</div>
-            <div class="empty-title">No Members Yet</div>
-            <div class="empty-text">Add your first house member to get started</div>
-            <button class="btn btn-primary" onclick="openAddMemberModal()">+ Add Member</button>
-          </div>
-        `;
-        return;
+    if (result.isOk) {
+        managerUnlocked = false;
+        closePinModal();
+        updateAllViews();
+        showToast('Manager PIN removed');
+    } else {
+        showToast(result.error || 'Failed to remove PIN');
     }
+}
 
-    const { filteredBills, filteredPayments, filteredMealEntries } = getFilteredData();
-    const displayMembers = getFilteredMembers();
+// History
+// Audit entries are append-only records saved with the change they describe, so they sync and back up with it
+const auditTypeLabels = {
+    member: 'Member',
+    bill: 'Bill',
+    payment: 'Payment',
+    meal_entry: 'Meals',
+    meal_off: 'Meal off',
+    bill_template: 'Recurring bill',
+    settings: 'Settings',
+    month_close: 'Month close'
+};
 
-    if (displayMembers.length === 0) {
-        container.innerHTML = `
-          <div class="empty-state">
-            <div class="empty-icon">🔍</div>
-            <div class="empty-title">No Members Found</div>
-            <div class="empty-text">No members match your search criteria</div>
-          </div>
-        `;
-        return;
+function getActorName() {
+    if (hasManagerPin() && managerUnlocked) return 'Manager';
+    const member = members.find(m => m.id === actingMemberId);
+    if (member) return member.name;
+    return hasManagerPin() ? 'Member' : 'Shared device';
+}
+
+function snapshotRecord(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+// Edits keep only the fields that changed; a field that did not exist is stored as null
+function diffRecords(before, after) {
+    const diff = { before: {}, after: {} };
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (key === '__backendId' || JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+        diff.before[key] = before[key] === undefined ? null : snapshotRecord(before[key]);
+        diff.after[key] = after[key] === undefined ? null : snapshotRecord(after[key]);
+    });
+    return diff;
+}
+
+// Entries point at __backendId, which is unique where id often is not. The hosted store only assigns
+// one when a record is created, so records created there are logged by id.
+function getAuditRecordId(record) {
+    return record.__backendId || record.id;
+}
+
+function findAuditedRecord(entry) {
+    const sameType = allData.filter(d => d.type === entry.record_type);
+    return sameType.find(d => d.__backendId === entry.record_id) || sameType.find(d => d.id === entry.record_id);
+}
+
+// Creates keep only their timestamp (to check the record is untouched before undoing) and deletes the
+// full record (to restore it). The label is saved because the record may be gone when history is read.
+// A record that is removed and put in the same write (a replace import) is logged as one update.
+// Returns { record, entry } pairs so each entry can be saved right after its record.
+function buildAuditEntries(put, remove, timestamp, undoOf) {
+    const currentById = new Map(allData.map(d => [d.__backendId, d]));
+    const putIds = new Set(put.map(r => r.__backendId));
+    const batchId = generateLocalId();
+    const actor = getActorName();
+
+    const changes = [
+        ...put.filter(r => r.type !== 'audit').map(r => ({ record: r, before: currentById.get(r.__backendId), after: r })),
+        ...remove.filter(r => r.type !== 'audit' && !putIds.has(r.__backendId)).map(r => ({ record: r, before: currentById.get(r.__backendId) || r, after: null }))
+    ];
+
+    return changes.map(({ record, before, after }) => {
+        const id = generateLocalId();
+        const action = !before ? 'create' : !after ? 'delete' : 'update';
+        const diff = action === 'update' ? diffRecords(before, after) : null;
+        const entry = {
+            type: 'audit',
+            id: id,
+            batch_id: batchId,
+            at: timestamp,
+            updated_at: timestamp,
+            actor: actor,
+            action: action,
+            record_type: (after || before).type,
+            record_id: getAuditRecordId(after || before),
+            label: describeAuditRecord(after || before),
+            before: action === 'create' ? null : action === 'delete' ? snapshotRecord(before) : diff.before,
+            after: action === 'create' ? { updated_at: after.updated_at } : action === 'delete' ? null : diff.after,
+            ...(undoOf ? { undo_of: undoOf } : {})
+        };
+        return { record, entry };
+    });
+}
+
+function describeAuditRecord(record) {
+    if (!record) return '';
+    switch (record.type) {
+        case 'member': return record.name;
+        case 'bill': return `${record.title} (${currencySymbol}${Number(record.amount).toLocaleString()})`;
+        case 'payment': return `${describePaymentParties(record)} ${currencySymbol}${Number(record.amount).toLocaleString()}`;
+        case 'meal_entry': return `${getMemberName(record.member_id)} on ${formatShortDate(record.meal_date)}`;
+        case 'meal_off': return `${getMemberName(record.member_id)} from ${formatShortDate(record.from_date)}`;
+        case 'bill_template': return record.title;
+        case 'month_close': return formatMonthKey(record.month);
+        default: return auditTypeLabels[record.type] || record.type;
     }
+}
 
-    const memberObjects = displayMembers.map(m => new Member(m, filteredBills, filteredPayments, filteredMealEntries));
+function formatAuditValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
 
-    const tableHTML = `
-        <div class="table-wrapper">
-          <table>
-            <thead>
-              <tr>
-                <th>Serial</th>
-                <th>Name</th>
-                <th>Mobile</th>
-                <th>Join Date</th>
-                <th>Monthly Meals</th>
-                <th>Total Paid</th>
-                <th>Total Bills</th>
-                <th>Due</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${memberObjects.map((memberObj, index) => {
-        const member = members[index];
-        const totalPaid = memberObj.getTotalPaid();
-        const totalBills = memberObj.getTotalBills();
-        const totalDue = memberObj.getTotalDue();
-        const monthlyMeals = memberObj.getMonthlyMealTotal();
-        const status = totalDue > 0 ? 'due' : 'paid';
-        const statusClass = status === 'paid' ? 'status-paid' : 'status-due';
-        const statusText = status === 'paid' ? 'Paid' : 'Due';
+function describeAuditChanges(entry) {
+    if (entry.action !== 'update') return '';
+    return Object.keys(entry.after)
+        .filter(key => key !== 'updated_at')
+        .map(key => `${key}: ${formatAuditValue(entry.before[key])} → ${formatAuditValue(entry.after[key])}`)
+        .join(', ');
+}
 
-        return `
-                  <tr>
-                    <td>${String(index + 1).padStart(2, '0')}</td>
-                    <td>${member.name}</td>
-                    <td>${member.phone || 'N/A'}</td>
-                    <td>${new Date(member.join_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
-                    <td style="font-weight: 600; color: #0B5FFF;">${monthlyMeals} meals</td>
-                    <td>৳${totalPaid.toLocaleString()}</td>
-                    <td>৳${totalBills.toFixed(0).toLocaleString()}</td>
-                    <td>৳${totalDue.toFixed(0).toLocaleString()}</td>
-                    <td>
-                      <div class="action-buttons">
-                        <span class="status-badge ${statusClass}">${statusText}</span>
-                        <button class="btn btn-danger btn-sm" onclick="deleteMember('${member.__backendId}')">Delete</button>
-                      </div>
-                    </td>
-                  </tr>
-                `;
-    }).join('')}
-            </tbody>
-          </table>
-        </div>
-      `;
+function restoreFields(record, fields) {
+    const restored = { ...record };
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === null) delete restored[key];
+        else restored[key] = snapshotRecord(value);
+    });
+    return restored;
+}
 
-    container.innerHTML = tableHTML;
+// Undo reverses a whole batch, and only while none of its records have changed again
+async function undoBatch(batchId) {
+    const entries = allData.filter(d => d.type === 'audit' && d.batch_id === batchId);
+    if (entries.length === 0) return { isOk: false, error: 'Nothing to undo' };
+    if (allData.some(d => d.type === 'audit' && d.undo_of === batchId)) return { isOk: false, error: 'This change was already undone' };
+
+    const plan = { created: [], updated: [], deleted: [] };
+    for (const entry of entries) {
+        const current = findAuditedRecord(entry);
+        const unchanged = entry.action === 'delete' ? !current :
+            !!current && current.updated_at === entry.after.updated_at;
+        if (!unchanged) {
+            return { isOk: false, error: `${entry.label} changed since; undo the later change first` };
+        }
+
+        if (entry.action === 'create') plan.deleted.push(current);
+        else if (entry.action === 'update') plan.updated.push(restoreFields(current, entry.before));
+        else plan.created.push(restoreFields(entry.before, { __backendId: null }));
+    }
+
+    return await applyRecordBatch(plan, { undoOf: batchId });
 }
 
-function renderMembersList() {
-    const container = document.getElementById('members-list-container');
+window.undoChange = async function (batchId) {
+    document.getElementById('toast').classList.remove('show');
+    const result = await undoBatch(batchId);
 
-    if (members.length === 0) {
+    if (result.isOk) {
+        showToast('↩️ Change undone', result.batchId);
+    } else {
+        showToast(result.error || 'Failed to undo change');
+    }
+};
+
+function renderHistory() {
+    const container = document.getElementById('history-container');
+
+    const monthKey = getSelectedMonthKey();
+    const typeFilter = document.getElementById('history-type').value;
+    const actionFilter = document.getElementById('history-action').value;
+    const audits = allData.filter(d => d.type === 'audit');
+    const undoneBatches = new Set(audits.filter(a => a.undo_of).map(a => a.undo_of));
+
+    const entries = audits
+        .filter(a => getMonthKey(a.at.slice(0, 10)) === monthKey)
+        .filter(a => !typeFilter || a.record_type === typeFilter)
+        .filter(a => !actionFilter || a.action === actionFilter)
+        .filter(a => !searchQuery || `${a.actor} ${a.label}`.toLowerCase().includes(searchQuery.toLowerCase()))
+        .sort((a, b) => b.at.localeCompare(a.at));
+
+    if (entries.length === 0) {
         container.innerHTML = `
           <div class="card">
             <div class="empty-state">
-              <div class="empty-icon">👥</div>
-              <div class="empty-title">No Members Yet</div>
-              <div class="empty-text">Add your first house member to start tracking expenses</div>
+              <div class="empty-icon">📜</div>
+              <div class="empty-title">No Changes in ${formatMonthKey(monthKey)}</div>
+              <div class="empty-text">Every add, edit and delete made this month will appear here</div>
             </div>
           </div>
         `;
         return;
     }
 
-    const memberObjects = members.map(m => new Member(m));
+    const batches = [];
+    entries.forEach(entry => {
+        const batch = batches.find(b => b.id === entry.batch_id);
+        if (batch) batch.entries.push(entry);
+        else batches.push({ id: entry.batch_id, entries: [entry] });
+    });
 
-    const cardsHTML = `
+    const actionLabels = { create: 'Added', update: 'Edited', delete: 'Deleted' };
+
+    container.innerHTML = `
         <div class="card">
           <div class="table-wrapper">
             <table>
               <thead>
                 <tr>
-                  <th>Serial</th>
-                  <th>Member Name</th>
-                  <th>Mobile</th>
-                  <th>Join Date</th>
-                  <th>Monthly Meals</th>
-                  <th>Total Paid</th>
-                  <th>Total Bills</th>
-                  <th>Due</th>
+                  <th>When</th>
+                  <th>Who</th>
+                  <th>Change</th>
                   <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
-                ${memberObjects.map((memberObj, index) => {
-        const member = members[index];
-        const totalPaid = memberObj.getTotalPaid();
-        const totalBills = memberObj.getTotalBills();
-        const totalDue = memberObj.getTotalDue();
-        const monthlyMeals = memberObj.getMonthlyMealTotal();
-
+                ${batches.map(batch => {
+        const first = batch.entries[0];
+        const undone = undoneBatches.has(batch.id);
         return `
                     <tr>
-                      <td>${String(index + 1).padStart(2, '0')}</td>
-                      <td>${member.name}</td>
-                      <td>${member.phone || 'N/A'}</td>
-                      <td>${new Date(member.join_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
-                      <td style="font-weight: 600; color: #0B5FFF;">${monthlyMeals} meals</td>
-                      <td>৳${totalPaid.toLocaleString()}</td>
-                      <td>৳${totalBills.toFixed(0).toLocaleString()}</td>
-                      <td>৳${totalDue.toFixed(0).toLocaleString()}</td>
+                      <td>${new Date(first.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</td>
+                      <td>${first.actor}</td>
                       <td>
-                        <div class="action-buttons">
-                          <button class="btn btn-danger btn-sm" onclick="deleteMember('${member.__backendId}')">Delete</button>
-                        </div>
+                        ${first.undo_of ? '<span class="history-undo-tag">↩️ Undo</span>' : ''}
+                        ${batch.entries.slice(0, 3).map(entry => `
+                          <div class="history-change">
+                            <span class="history-action ${entry.action}">${actionLabels[entry.action]}</span>
+                            ${auditTypeLabels[entry.record_type] || entry.record_type}: <strong>${entry.label}</strong>
+                            ${entry.action === 'update' ? `<div class="form-hint">${describeAuditChanges(entry)}</div>` : ''}
+                          </div>
+                        `).join('')}
+                        ${batch.entries.length > 3 ? `<div class="form-hint">and ${batch.entries.length - 3} more changes</div>` : ''}
+                      </td>
+                      <td>
+                        ${undone ? '<span class="form-hint">Undone</span>' :
+                `<button class="btn btn-outline btn-sm manager-only" onclick="undoChange('${batch.id}')">↩️ Undo${batch.entries.length > 1 ? ` (${batch.entries.length})` : ''}</button>`}
                       </td>
                     </tr>
                   `;
@@ -467,704 +1450,4140 @@ function renderMembersList() {
           </div>
         </div>
       `;
-
-    container.innerHTML = cardsHTML;
 }
 
-function renderBills() {
-    const container = document.getElementById('bills-container');
-
-    if (bills.length === 0) {
-        container.innerHTML = `
-          <div class="card">
-            <div class="empty-state">
-              <div class="empty-icon">💰</div>
-              <div class="empty-title">No Bills Yet</div>
-              <div class="empty-text">Add your first bill to start tracking expenses</div>
-              <button class="btn btn-primary" onclick="openAddBillModal()">+ Add Bill</button>
-            </div>
-          </div>
-        `;
-        return;
+// Data SDK Handler
+const dataHandler = {
+    onDataChanged(data) {
+        allData = data;
+        updateAllViews();
     }
+};
 
-    const billIcons = {
-        market: { icon: '🛒', bg: '#EBF4FF', color: '#0B5FFF' },
-        electricity: { icon: '💡', bg: '#FFF4E6', color: '#FFA500' },
-        gas: { icon: '🔥', bg: '#FFE8E8', color: '#FF4D4F' },
-        internet: { icon: '📡', bg: '#F3E8FF', color: '#9B59B6' },
-        rent: { icon: '🏠', bg: '#E8F8F5', color: '#00C48C' },
-        garbage: { icon: '🗑️', bg: '#F0F0F0', color: '#34495E' },
-        fridge: { icon: '❄️', bg: '#E6F7FF', color: '#1890FF' },
-        other: { icon: '📝', bg: '#F7F9FC', color: '#4A5568' }
-    };
+// Initialize
+async function initializeApp() {
+    selectedMonth = readMonthFromUrl() || getCurrentMonthKey();
+    writeMonthToUrl(selectedMonth, true);
+    setupEventListeners();
+    syncMealDateToMonth();
+
+    if (window.elementSdk) {
+        await window.elementSdk.init({
+            defaultConfig,
+            onConfigChange,
+            mapToCapabilities,
+            mapToEditPanelValues
+        });
+    }
+
+    if (window.dataSdk) {
+        useLocalStorage = false;
+        const result = await window.dataSdk.init(dataHandler);
+        if (!result.isOk) {
+            console.warn('Data SDK failed, falling back to localStorage');
+            useLocalStorage = true;
+        }
+    }
+
+    if (useLocalStorage) {
+        loadHouses();
+        await openHouseStore();
+        applyHouseConfig();
+        updateAllViews();
+        promptRecurringBills();
+        showToast('💾 Using local storage mode (data saved in your browser)');
+
+        window.addEventListener('online', () => RemoteSync.sync());
+    }
+
+    renderHouseSwitcher();
+
+    renderSyncStatus();
+
+    updateMonthDisplay();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeApp);
+} else {
+    initializeApp();
+}
+
+// CRUD operations
+function lockedMonthError(record) {
+    return { isOk: false, error: `🔒 ${formatMonthKey(getMonthKey(getRecordDate(record)))} is closed` };
+}
+
+function storageError() {
+    return { isOk: false, error: '⚠️ Could not save to browser storage' };
+}
+
+// The hosted data SDK caps how many records it keeps; browser storage has no limit
+const sdkRecordLimit = 999;
+
+function exceedsRecordLimit(recordCount) {
+    return !useLocalStorage && recordCount > sdkRecordLimit;
+}
+
+// Every changed record also gets an audit entry, and those count against the limit too
+function getRecordCountAfter(addedCount, changedCount = addedCount) {
+    return allData.length + addedCount + changedCount;
+}
+
+// Every write is stamped so the sync server and undo can tell which copy of a record is newer
+function prepareChanges({ put = [], remove = [] }, undoOf) {
+    const timestamp = new Date().toISOString();
+    put.forEach(record => {
+        record.updated_at = timestamp;
+    });
+
+    const audited = buildAuditEntries(put, remove, timestamp, undoOf);
+    const auditEntries = audited.map(a => a.entry);
+    const batchId = auditEntries.length > 0 ? auditEntries[0].batch_id : generateLocalId();
+    return { timestamp, audited, auditEntries, batchId };
+}
+
+// Local saves and incoming sync changes both read allData, write the store and then update allData.
+// They run one at a time, so a save made while a sync is writing is never replaced by an older copy.
+let writeQueue = Promise.resolve();
+
+function runExclusiveWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+// Local writes save their audit entries in the same write and then update allData.
+// Returns the batch id, or false when nothing was saved
+function persistChanges({ put = [], remove = [] }, { undoOf = null } = {}) {
+    return runExclusiveWrite(async () => {
+        const { timestamp, auditEntries, batchId } = prepareChanges({ put, remove }, undoOf);
+        auditEntries.forEach(entry => {
+            entry.__backendId = entry.id;
+        });
+
+        if (!await localStore.write({ put: [...put, ...auditEntries], remove })) return false;
+        RemoteSync.enqueue([...put, ...auditEntries], remove, timestamp);
+
+        const removedIds = new Set(remove.map(r => r.__backendId));
+        const putById = new Map(put.map(r => [r.__backendId, r]));
+        allData = allData
+            .filter(d => !removedIds.has(d.__backendId))
+            .map(d => putById.get(d.__backendId) || d);
+        const existingIds = new Set(allData.map(d => d.__backendId));
+        allData.push(...put.filter(r => !existingIds.has(r.__backendId)), ...auditEntries);
+        return batchId;
+    });
+}
+
+// The hosted store saves one record per call, so each record's audit entry is saved right after it
+// and the batch stops at the first call that fails
+async function applySdkChanges({ created = [], updated = [], deleted = [] }, { undoOf = null } = {}) {
+    const { audited, auditEntries, batchId } = prepareChanges({ put: [...updated, ...created], remove: deleted }, undoOf);
+    if (exceedsRecordLimit(getRecordCountAfter(created.length - deleted.length, auditEntries.length))) {
+        return { isOk: false, error: `Maximum limit of ${sdkRecordLimit} records reached` };
+    }
+
+    const entryByRecord = new Map(audited.map(({ record, entry }) => [record, entry]));
+    const operations = [
+        ...deleted.map(record => ['delete', record]),
+        ...updated.map(record => ['update', record]),
+        ...created.map(record => ['create', record])
+    ];
+
+    let result = { isOk: true };
+    for (const [method, record] of operations) {
+        result = await window.dataSdk[method](record);
+        if (!result.isOk) break;
+
+        const entry = entryByRecord.get(record);
+        if (entry) {
+            result = await window.dataSdk.create(entry);
+            if (!result.isOk) break;
+        }
+    }
+
+    return result.isOk ? { isOk: true, batchId } : result;
+}
+
+function generateLocalId() {
+    return 'local_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Records there is only one of per house, month or member-day get the same id on every device,
+// so copies created on two phones meet as one record on the sync server
+function getNaturalId(record) {
+    switch (record.type) {
+        case 'settings': return 'settings';
+        case 'month_close': return `close_${record.month}`;
+        case 'meal_entry': return `meal_${record.member_id}_${record.meal_date}`;
+        default: return null;
+    }
+}
+
+function assignLocalId(record) {
+    const naturalId = getNaturalId(record);
+    record.__backendId = naturalId && !allData.some(d => d.__backendId === naturalId) ? naturalId : generateLocalId();
+}
+
+async function createRecord(record) {
+    const denied = getPermissionError([record]);
+    if (denied) return denied;
+    if (isRecordLocked(record)) return lockedMonthError(record);
+
+    if (useLocalStorage) {
+        assignLocalId(record);
+        const batchId = await persistChanges({ put: [record] });
+        if (!batchId) return storageError();
+
+        updateAllViews();
+        return { isOk: true, batchId };
+    } else if (window.dataSdk) {
+        return await applySdkChanges({ created: [record] });
+    }
+    return { isOk: false };
+}
+
+// Pass a new object with the record's __backendId; the stored record is replaced
+async function updateRecord(record) {
+    const existing = allData.find(d => d.__backendId === record.__backendId);
+    if (!existing) return { isOk: false };
+    const denied = getPermissionError([existing, record]);
+    if (denied) return denied;
+    if (isRecordLocked(existing)) return lockedMonthError(existing);
+    if (isRecordLocked(record)) return lockedMonthError(record);
+
+    if (useLocalStorage) {
+        const batchId = await persistChanges({ put: [record] });
+        if (!batchId) return storageError();
+
+        updateAllViews();
+        return { isOk: true, batchId };
+    } else if (window.dataSdk) {
+        return await applySdkChanges({ updated: [record] });
+    }
+    return { isOk: false };
+}
+
+async function deleteRecord(record) {
+    const denied = getPermissionError([record]);
+    if (denied) return denied;
+    if (isRecordLocked(record)) return lockedMonthError(record);
+
+    if (useLocalStorage) {
+        const batchId = await persistChanges({ remove: [record] });
+        if (!batchId) return storageError();
+
+        updateAllViews();
+        return { isOk: true, batchId };
+    } else if (window.dataSdk) {
+        return await applySdkChanges({ deleted: [record] });
+    }
+    return { isOk: false };
+}
+
+// Applies many changes with a single save and re-render
+async function applyRecordBatch({ created = [], updated = [], deleted = [] }, { skipLockCheck = false, undoOf = null } = {}) {
+    const previous = updated.map(r => allData.find(d => d.__backendId === r.__backendId)).filter(Boolean);
+    const denied = getPermissionError([...created, ...updated, ...deleted, ...previous]);
+    if (denied) return denied;
+
+    if (!skipLockCheck) {
+        const locked = [...created, ...updated, ...deleted, ...previous].find(r => isRecordLocked(r));
+        if (locked) return lockedMonthError(locked);
+    }
+
+    if (useLocalStorage) {
+        created.forEach(record => {
+            if (!record.__backendId) assignLocalId(record);
+        });
+        const batchId = await persistChanges({ put: [...updated, ...created], remove: deleted }, { undoOf });
+        if (!batchId) return storageError();
+
+        updateAllViews();
+        return { isOk: true, batchId };
+    } else if (window.dataSdk) {
+        return await applySdkChanges({ created, updated, deleted }, { undoOf });
+    }
+    return { isOk: false };
+}
+
+// Bill splitting
+function isDirectSplit(bill) {
+    return (bill.split_type === 'custom' || bill.split_type === 'weight') && !!bill.split_values;
+}
+
+// Bills saved before participant selection use everyone living in the house that month
+function getBillParticipants(bill) {
+    if (!Array.isArray(bill.participants)) {
+        const monthKey = getMonthKey(bill.date);
+        return members.filter(m => isMemberActiveInMonth(m, monthKey)).map(m => m.id);
+    }
+    return bill.participants.filter(id => members.some(m => m.id === id));
+}
+
+function getMealTotals(usedMealEntries = mealEntries, monthKey = getSelectedMonthKey()) {
+    const totals = {};
+    members.forEach(m => {
+        totals[m.id] = 0;
+    });
+    usedMealEntries.forEach(entry => {
+        if (totals[entry.member_id] !== undefined && getMonthKey(entry.meal_date) === monthKey) {
+            totals[entry.member_id] += getMealUnits(entry);
+        }
+    });
+    return totals;
+}
+
+// Returns { memberId: amount } covering only the bill's participants.
+// Pass the month's meal totals when splitting many bills; they are only needed for meal-rate bills.
+function getBillShares(bill, mealTotals = null) {
+    const shares = {};
+    const participantIds = getBillParticipants(bill);
+    if (participantIds.length === 0) return shares;
+
+    if (!isDirectSplit(bill)) {
+        // Meal costs follow the meal rate among participants; fixed costs (or meal costs nobody ate)
+        // are pro-rated by the days each participant lived in the house that month
+        const monthKey = getMonthKey(bill.date);
+        if (!mealTotals) mealTotals = getMealTotals(mealEntries, monthKey);
+        const participantMeals = participantIds.reduce((sum, id) => sum + (mealTotals[id] || 0), 0);
+        const byMeals = getBillCategory(bill) === 'meal' && participantMeals > 0;
+        const residentDays = {};
+        participantIds.forEach(id => {
+            const member = members.find(m => m.id === id);
+            residentDays[id] = member ? getResidentDays(member, monthKey) : 0;
+        });
+        const totalDays = participantIds.reduce((sum, id) => sum + residentDays[id], 0);
+
+        participantIds.forEach(id => {
+            if (byMeals) {
+                shares[id] = bill.amount * (mealTotals[id] || 0) / participantMeals;
+            } else {
+                shares[id] = totalDays > 0 ?
+                    bill.amount * residentDays[id] / totalDays :
+                    bill.amount / participantIds.length;
+            }
+        });
+        return shares;
+    }
+
+    const entries = Object.entries(bill.split_values).filter(([memberId]) => participantIds.includes(memberId));
+
+    if (bill.split_type === 'custom') {
+        entries.forEach(([memberId, value]) => {
+            shares[memberId] = bill.split_unit === 'percent' ? bill.amount * value / 100 : value;
+        });
+        return shares;
+    }
+
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (totalWeight === 0) return shares;
+
+    entries.forEach(([memberId, weight]) => {
+        shares[memberId] = bill.amount * weight / totalWeight;
+    });
+    return shares;
+}
+
+// paid_by maps member ids to what they paid out of pocket; the rest of the bill came from the house fund
+function getBillPayers(bill) {
+    return bill.paid_by || {};
+}
+
+function validatePaidBy(paidBy, amount) {
+    if (!paidBy) return null;
+
+    const total = Object.values(paidBy).reduce((sum, v) => sum + v, 0);
+    if (total === 0) return 'Enter what at least one member paid';
+    if (total - amount > 0.01) {
+        return `Payers cannot pay more than the bill (${currencySymbol}${total.toLocaleString()} of ${currencySymbol}${amount.toLocaleString()})`;
+    }
+    return null;
+}
+
+function validateSplit(splitType, splitUnit, splitValues, amount) {
+    if (splitType === 'equal') return null;
+
+    const total = Object.values(splitValues).reduce((sum, v) => sum + v, 0);
+
+    if (total === 0) {
+        return splitType === 'weight' ? 'Enter a weight for at least one member' : 'Enter a share for at least one member';
+    }
+
+    if (splitType === 'custom' && splitUnit === 'percent' && Math.abs(total - 100) > 0.01) {
+        return `Percentages must add up to 100% (currently ${total.toFixed(2)}%)`;
+    }
+
+    if (splitType === 'custom' && splitUnit === 'amount' && Math.abs(total - amount) > 0.01) {
+        return `Member amounts must add up to ${currencySymbol}${amount.toLocaleString()} (currently ${currencySymbol}${total.toLocaleString()})`;
+    }
+
+    return null;
+}
+
+// Member class
+// All figures are scoped to one month (defaults to the month shown in the header).
+// mealTotals lets a report share one set of month meal totals across its members.
+class Member {
+    constructor(data, usedBills = null, usedPayments = null, usedMealEntries = null, monthKey = getSelectedMonthKey(), mealTotals = null) {
+        this.id = data.id;
+        this.name = data.name;
+        this.phone = data.phone || '';
+        this.join_date = data.join_date;
+        this.leave_date = data.leave_date || null;
+        this.__backendId = data.__backendId;
+        this.monthKey = monthKey;
+        this.bills = (usedBills || bills).filter(b => getMonthKey(b.date) === monthKey);
+        this.payments = (usedPayments || payments).filter(p => getMonthKey(p.date) === monthKey);
+        this.mealEntries = (usedMealEntries || mealEntries).filter(m => getMonthKey(m.meal_date) === monthKey);
+        this.mealTotals = mealTotals;
+        this.costShares = {};
+    }
+
+    getResidentDays() {
+        return getResidentDays(this, this.monthKey);
+    }
+
+    getMealEntryForDate(date) {
+        return this.mealEntries.find(m => m.member_id === this.id && m.meal_date === date) || null;
+    }
+
+    getMealCountForDate(date) {
+        const meal = this.getMealEntryForDate(date);
+        return meal ? getMealUnits(meal) : 0;
+    }
+
+    // Weighted meal units, guests included, which is what the meal rate bills
+    getMonthlyMealTotal() {
+        return this.mealEntries
+            .filter(m => m.member_id === this.id)
+            .reduce((sum, m) => sum + getMealUnits(m), 0);
+    }
+
+    getGuestMealTotal() {
+        return this.mealEntries
+            .filter(m => m.member_id === this.id)
+            .reduce((sum, m) => sum + (m.guest_count || 0), 0);
+    }
+
+    // Transfers (paid_to) credit the payer and debit the receiver; refunds from the house fund debit the member
+    getDeposits() {
+        return this.payments.reduce((sum, p) => {
+            if (p.member_id === this.id) return sum + (p.refund ? -p.amount : p.amount);
+            if (p.paid_to === this.id) return sum - p.amount;
+            return sum;
+        }, 0);
+    }
+
+    getSpentOnHouse() {
+        return this.bills.reduce((sum, b) => sum + (getBillPayers(b)[this.id] || 0), 0);
+    }
+
+    // Bills paid out of pocket count as contributions alongside deposits
+    getTotalPaid() {
+        return this.getDeposits() + this.getSpentOnHouse();
+    }
+
+    getCostShare(category) {
+        if (this.costShares[category] === undefined) {
+            if (!this.mealTotals) this.mealTotals = getMealTotals(this.mealEntries, this.monthKey);
+            this.costShares[category] = this.bills
+                .filter(b => getBillCategory(b) === category)
+                .reduce((sum, b) => sum + (getBillShares(b, this.mealTotals)[this.id] || 0), 0);
+        }
+        return this.costShares[category];
+    }
+
+    getMealCost() {
+        return this.getCostShare('meal');
+    }
+
+    getFixedCost() {
+        return this.getCostShare('fixed');
+    }
+
+    getTotalBills() {
+        return this.getMealCost() + this.getFixedCost();
+    }
+
+    // Positive balances are advances, negative balances are dues
+    getOpeningBalance() {
+        return BachelorHouseMealManager.closingBalance(this.id, shiftMonthKey(this.monthKey, -1));
+    }
+
+    getClosingBalance() {
+        return this.getOpeningBalance() + this.getTotalPaid() - this.getTotalBills();
+    }
+
+    getTotalDue() {
+        return Math.max(0, -this.getClosingBalance());
+    }
+
+    getAdvance() {
+        return Math.max(0, this.getClosingBalance());
+    }
+}
+
+// Manager class
+class BachelorHouseMealManager {
+    static totalExpense(monthKey = getSelectedMonthKey()) {
+        return bills
+            .filter(b => getMonthKey(b.date) === monthKey)
+            .reduce((sum, b) => sum + b.amount, 0);
+    }
+
+    static totalFixedCost(monthKey = getSelectedMonthKey()) {
+        const closed = getMonthClose(monthKey);
+        if (closed) return closed.total_fixed_cost;
+
+        return bills
+            .filter(b => getMonthKey(b.date) === monthKey && getBillCategory(b) === 'fixed')
+            .reduce((sum, b) => sum + b.amount, 0);
+    }
+
+    // Equal-split meal-cost bills are pooled and shared through the meal rate.
+    // This is the house-wide average; settlement figures use mealRateGroups.
+    static mealRate(monthKey = getSelectedMonthKey(), mealTotals = getMealTotals(mealEntries, monthKey)) {
+        const closed = getMonthClose(monthKey);
+        if (closed) return closed.meal_rate;
+
+        const pooledAmount = bills
+            .filter(b => getMonthKey(b.date) === monthKey && getBillCategory(b) === 'meal' && !isDirectSplit(b))
+            .reduce((sum, b) => sum + b.amount, 0);
+        const totalMeals = Object.values(mealTotals).reduce((sum, count) => sum + count, 0);
+
+        return totalMeals > 0 ? pooledAmount / totalMeals : 0;
+    }
+
+    // getBillShares charges a pooled meal bill to its participants' meals only, so bills shared
+    // by the same members form one group with its own rate
+    static mealRateGroups(monthKey = getSelectedMonthKey(), mealTotals = getMealTotals(mealEntries, monthKey)) {
+        const closed = getMonthClose(monthKey);
+        if (closed) return closed.meal_rates || [{ member_ids: null, amount: 0, meals: 0, rate: closed.meal_rate }];
+
+        const groups = new Map();
+        bills
+            .filter(b => getMonthKey(b.date) === monthKey && getBillCategory(b) === 'meal' && !isDirectSplit(b))
+            .forEach(b => {
+                const memberIds = getBillParticipants(b).sort();
+                const key = memberIds.join(',');
+                if (!groups.has(key)) {
+                    const meals = memberIds.reduce((sum, id) => sum + (mealTotals[id] || 0), 0);
+                    groups.set(key, { member_ids: memberIds, amount: 0, meals: meals });
+                }
+                groups.get(key).amount += b.amount;
+            });
+
+        return [...groups.values()].map(g => ({ ...g, rate: g.meals > 0 ? g.amount / g.meals : 0 }));
+    }
+
+    // Reports from months closed before bill payers existed only have total_paid.
+    // Pass a report already built for the month to avoid building it again.
+    static totalDeposits(monthKey = getSelectedMonthKey(), report = this.settlementReport(monthKey)) {
+        return report.reduce((sum, m) => sum + (m.deposits !== undefined ? m.deposits : m.total_paid), 0);
+    }
+
+    static totalDue(monthKey = getSelectedMonthKey(), report = this.settlementReport(monthKey)) {
+        return report.reduce((sum, m) => sum + m.total_due, 0);
+    }
+
+    // Closed months use their locked balances; open months roll forward from the earliest data
+    static closingBalance(memberId, monthKey) {
+        const closed = getMonthClose(monthKey);
+        if (closed) return closed.balances[memberId] || 0;
+
+        const earliestMonthKey = getEarliestMonthKey();
+        if (!earliestMonthKey || monthKey < earliestMonthKey) return 0;
+
+        const cacheKey = `${memberId}:${monthKey}`;
+        if (balanceCache.has(cacheKey)) return balanceCache.get(cacheKey);
+
+        const member = members.find(m => m.id === memberId);
+        const balance = member ? new Member(member, null, null, null, monthKey).getClosingBalance() : 0;
+        balanceCache.set(cacheKey, balance);
+        return balance;
+    }
+
+    // Greedy largest-debtor-to-largest-creditor matching, so there are at most n - 1 transfers.
+    // A null id is the house fund held by the manager.
+    static settlementPlan(monthKey = getSelectedMonthKey()) {
+        const roundAmount = amount => Math.round(amount * 100) / 100;
+        const balances = this.settlementReport(monthKey).map(m => ({ id: m.member_id, balance: roundAmount(m.closing_balance) }));
+        balances.push({ id: null, balance: roundAmount(-balances.reduce((sum, b) => sum + b.balance, 0)) });
+
+        const debtors = balances.filter(b => b.balance <= -0.5).map(b => ({ id: b.id, amount: -b.balance }));
+        const creditors = balances.filter(b => b.balance >= 0.5).map(b => ({ id: b.id, amount: b.balance }));
+        const transfers = [];
+
+        while (debtors.length > 0 && creditors.length > 0) {
+            debtors.sort((a, b) => b.amount - a.amount);
+            creditors.sort((a, b) => b.amount - a.amount);
+
+            const debtor = debtors[0];
+            const creditor = creditors[0];
+            const amount = Math.min(debtor.amount, creditor.amount);
+
+            transfers.push({ from: debtor.id, to: creditor.id, amount: roundAmount(amount) });
+            debtor.amount -= amount;
+            creditor.amount -= amount;
+            if (debtor.amount < 0.5) debtors.shift();
+            if (creditor.amount < 0.5) creditors.shift();
+        }
+
+        return transfers;
+    }
+
+    static settlementReport(monthKey = getSelectedMonthKey()) {
+        const closed = getMonthClose(monthKey);
+        if (closed) return closed.report;
+
+        const mealTotals = getMealTotals(mealEntries, monthKey);
+        return getMembersForMonth(monthKey).map(m => {
+            const memberObj = new Member(m, null, null, null, monthKey, mealTotals);
+            return {
+                member_id: m.id,
+                name: m.name,
+                join_date: m.join_date,
+                resident_days: memberObj.getResidentDays(),
+                opening_balance: memberObj.getOpeningBalance(),
+                deposits: memberObj.getDeposits(),
+                spent_on_house: memberObj.getSpentOnHouse(),
+                total_paid: memberObj.getTotalPaid(),
+                meal_cost: memberObj.getMealCost(),
+                fixed_cost: memberObj.getFixedCost(),
+                total_bills: memberObj.getTotalBills(),
+                total_due: memberObj.getTotalDue(),
+                advance: memberObj.getAdvance(),
+                closing_balance: memberObj.getClosingBalance(),
+                monthly_meals: memberObj.getMonthlyMealTotal(),
+                guest_meals: memberObj.getGuestMealTotal()
+            };
+        });
+    }
+}
+
+// Render functions
+function renderMembersTable() {
+    const container = document.getElementById('members-table-container');
+
+    if (members.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">👥</div>
+            <div class="empty-title">No Members Yet</div>
+            <div class="empty-text">Add your first house member to get started</div>
+            <button class="btn btn-primary manager-only" onclick="openAddMemberModal()">+ Add Member</button>
+          </div>
+        `;
+        return;
+    }
+
+    const { filteredBills, filteredPayments, filteredMealEntries, monthKey } = getFilteredData();
+    const displayMembers = getFilteredMembers();
+
+    if (displayMembers.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">🔍</div>
+            <div class="empty-title">No Members Found</div>
+            <div class="empty-text">No members match your search criteria</div>
+          </div>
+        `;
+        return;
+    }
+
+    const memberObjects = displayMembers.map(m => new Member(m, filteredBills, filteredPayments, filteredMealEntries, monthKey));
+
+    const tableHTML = `
+        <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Serial</th>
+                <th>Name</th>
+                <th>Mobile</th>
+                <th>Join Date</th>
+                <th>Monthly Meals</th>
+                <th>Total Paid</th>
+                <th>Total Bills</th>
+                <th>Due</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${memberObjects.map((memberObj, index) => {
+        const member = displayMembers[index];
+        const totalPaid = memberObj.getTotalPaid();
+        const totalBills = memberObj.getTotalBills();
+        const totalDue = memberObj.getTotalDue();
+        const monthlyMeals = memberObj.getMonthlyMealTotal();
+        const status = totalDue > 0 ? 'due' : 'paid';
+        const statusClass = status === 'paid' ? 'status-paid' : 'status-due';
+        const statusText = status === 'paid' ? 'Paid' : 'Due';
+
+        return `
+                  <tr>
+                    <td>${String(index + 1).padStart(2, '0')}</td>
+                    <td><a href="#" class="member-link" onclick="openMemberDetail('${member.id}'); return false;">${member.name}</a></td>
+                    <td>${member.phone || 'N/A'}</td>
+                    <td>${new Date(member.join_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
+                    <td style="font-weight: 600; color: #0B5FFF;">${formatMeals(monthlyMeals)} meals</td>
+                    <td>${currencySymbol}${totalPaid.toLocaleString()}</td>
+                    <td>${currencySymbol}${totalBills.toFixed(0).toLocaleString()}</td>
+                    <td>${currencySymbol}${totalDue.toFixed(0).toLocaleString()}</td>
+                    <td>
+                      <div class="action-buttons">
+                        <span class="status-badge ${statusClass}">${statusText}</span>
+                        <button class="btn btn-outline btn-sm manager-only" onclick="openEditMemberModal('${member.__backendId}')">Edit</button>
+                        <button class="btn btn-danger btn-sm manager-only" onclick="deleteMember('${member.__backendId}')">Delete</button>
+                      </div>
+                    </td>
+                  </tr>
+                `;
+    }).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+
+    container.innerHTML = tableHTML;
+}
+
+function renderMembersList() {
+    const container = document.getElementById('members-list-container');
+
+    if (members.length === 0) {
+        container.innerHTML = `
+          <div class="card">
+            <div class="empty-state">
+              <div class="empty-icon">👥</div>
+              <div class="empty-title">No Members Yet</div>
+              <div class="empty-text">Add your first house member to start tracking expenses</div>
+            </div>
+          </div>
+        `;
+        return;
+    }
+
+    const memberObjects = members.map(m => new Member(m));
+    const today = toDateKey(new Date());
+
+    const cardsHTML = `
+        <div class="card">
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Serial</th>
+                  <th>Member Name</th>
+                  <th>Mobile</th>
+                  <th>Join Date</th>
+                  <th>Monthly Meals</th>
+                  <th>Total Paid</th>
+                  <th>Total Bills</th>
+                  <th>Due</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${memberObjects.map((memberObj, index) => {
+        const member = members[index];
+        const totalPaid = memberObj.getTotalPaid();
+        const totalBills = memberObj.getTotalBills();
+        const totalDue = memberObj.getTotalDue();
+        const monthlyMeals = memberObj.getMonthlyMealTotal();
+        const leftBadge = hasLeft(member) ?
+            ` <span class="status-badge status-left">${member.leave_date > today ? 'Leaving' : 'Left'} ${formatShortDate(member.leave_date)}</span>` : '';
+
+        return `
+                    <tr class="${hasLeft(member) ? 'member-left' : ''}">
+                      <td>${String(index + 1).padStart(2, '0')}</td>
+                      <td><a href="#" class="member-link" onclick="openMemberDetail('${member.id}'); return false;">${member.name}</a>${leftBadge}</td>
+                      <td>${member.phone || 'N/A'}</td>
+                      <td>${new Date(member.join_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
+                      <td style="font-weight: 600; color: #0B5FFF;">${formatMeals(monthlyMeals)} meals</td>
+                      <td>${currencySymbol}${totalPaid.toLocaleString()}</td>
+                      <td>${currencySymbol}${totalBills.toFixed(0).toLocaleString()}</td>
+                      <td>${currencySymbol}${totalDue.toFixed(0).toLocaleString()}</td>
+                      <td>
+                        <div class="action-buttons">
+                          <button class="btn btn-outline btn-sm manager-only" onclick="openEditMemberModal('${member.__backendId}')">Edit</button>
+                          ${hasLeft(member) ?
+            `<button class="btn btn-outline btn-sm manager-only" onclick="rejoinMember('${member.__backendId}')">Rejoin</button>` :
+            `<button class="btn btn-outline btn-sm manager-only" onclick="markMemberLeft('${member.__backendId}')">Mark Left</button>`}
+                          <button class="btn btn-danger btn-sm manager-only" onclick="deleteMember('${member.__backendId}')">Delete</button>
+                        </div>
+                      </td>
+                    </tr>
+                  `;
+    }).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      `;
+
+    container.innerHTML = cardsHTML;
+}
+
+const billIcons = {
+    market: { icon: '🛒', bg: '#EBF4FF', color: '#0B5FFF' },
+    electricity: { icon: '💡', bg: '#FFF4E6', color: '#FFA500' },
+    gas: { icon: '🔥', bg: '#FFE8E8', color: '#FF4D4F' },
+    internet: { icon: '📡', bg: '#F3E8FF', color: '#9B59B6' },
+    rent: { icon: '🏠', bg: '#E8F8F5', color: '#00C48C' },
+    garbage: { icon: '🗑️', bg: '#F0F0F0', color: '#34495E' },
+    fridge: { icon: '❄️', bg: '#E6F7FF', color: '#1890FF' },
+    other: { icon: '📝', bg: '#F7F9FC', color: '#4A5568' }
+};
+
+function renderBills() {
+    const container = document.getElementById('bills-container');
+    const { filteredBills } = getFilteredData();
+
+    if (bills.length === 0) {
+        container.innerHTML = `
+          <div class="card">
+            <div class="empty-state">
+              <div class="empty-icon">💰</div>
+              <div class="empty-title">No Bills Yet</div>
+              <div class="empty-text">Add your first bill to start tracking expenses</div>
+              <button class="btn btn-primary manager-only" onclick="openAddBillModal()">+ Add Bill</button>
+            </div>
+          </div>
+        `;
+        return;
+    }
+
+    if (filteredBills.length === 0) {
+        container.innerHTML = `
+          <div class="card">
+            <div class="empty-state">
+              <div class="empty-icon">📅</div>
+              <div class="empty-title">No Bills in ${formatMonthKey(getSelectedMonthKey())}</div>
+              <div class="empty-text">Bills recorded for this month will appear here</div>
+              <button class="btn btn-primary manager-only" onclick="openAddBillModal()">+ Add Bill</button>
+            </div>
+          </div>
+        `;
+        return;
+    }
 
     const cardsHTML = `
         <div class="bills-grid">
-          ${bills.map(bill => {
+          ${filteredBills.map(bill => {
         const iconData = billIcons[bill.bill_type] || billIcons.other;
         return `
-              <div class="bill-card">
-                <div class="bill-icon" style="background: ${iconData.bg}; color: ${iconData.color};">${iconData.icon}</div>
-                <div class="bill-name">${bill.title}</div>
-                <div class="bill-amount">৳${bill.amount.toLocaleString()}</div>
-                <div class="bill-meta">📅 Date: ${new Date(bill.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</div>
-                <div class="bill-meta">✂️ Split: ${bill.split_type === 'equal' ? 'Equal' : bill.split_type === 'custom' ? 'Custom' : 'Weight-based'}</div>
-                <button class="btn btn-danger btn-sm" onclick="deleteBill('${bill.__backendId}')" style="width: 100%; margin-top: 12px;">Delete</button>
+              <div class="bill-card">
+                <div class="bill-icon" style="background: ${iconData.bg}; color: ${iconData.color};">${iconData.icon}</div>
+                <div class="bill-name">${bill.title}</div>
+                <div class="bill-amount">${currencySymbol}${bill.amount.toLocaleString()}</div>
+                <div class="bill-meta">📅 Date: ${new Date(bill.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</div>
+                <div class="bill-meta">✂️ Split: ${bill.split_type === 'equal' ? 'Equal' : bill.split_type === 'custom' ? 'Custom' : 'Weight-based'}</div>
+                <div class="bill-meta">👥 ${isDirectSplit(bill) ? formatBillShares(bill) : formatBillParticipants(bill)}</div>
+                <div class="bill-meta">💵 ${formatBillPayers(bill)}</div>
+                <div class="action-buttons bill-actions">
+                  <button class="btn btn-outline btn-sm manager-only" onclick="openEditBillModal('${bill.__backendId}')">Edit</button>
+                  <button class="btn btn-danger btn-sm manager-only" onclick="deleteBill('${bill.__backendId}')">Delete</button>
+                </div>
+              </div>
+            `;
+    }).join('')}
+        </div>
+      `;
+
+    container.innerHTML = cardsHTML;
+}
+
+function formatBillShares(bill) {
+    const shares = getBillShares(bill);
+    return Object.entries(shares).map(([memberId, share]) => {
+        const member = members.find(m => m.id === memberId);
+        return `${member ? member.name : 'Unknown'}: ${currencySymbol}${share.toFixed(0)}`;
+    }).join(', ');
+}
+
+function formatBillPayers(bill) {
+    const payers = Object.entries(getBillPayers(bill));
+    if (payers.length === 0) return 'Paid from house fund';
+
+    const fundAmount = bill.amount - payers.reduce((sum, [, amount]) => sum + amount, 0);
+    const payerText = payers.length === 1 && fundAmount < 0.01 ?
+        getMemberName(payers[0][0]) :
+        payers.map(([memberId, amount]) => `${getMemberName(memberId)} ${currencySymbol}${amount.toLocaleString()}`).join(', ');
+    return `Paid by ${payerText}${fundAmount >= 0.01 ? `, house fund ${currencySymbol}${fundAmount.toLocaleString()}` : ''}`;
+}
+
+function formatBillParticipants(bill) {
+    const participantIds = getBillParticipants(bill);
+    const monthKey = getMonthKey(bill.date);
+    if (participantIds.length === members.filter(m => isMemberActiveInMonth(m, monthKey)).length) return 'All members';
+    return members.filter(m => participantIds.includes(m.id)).map(m => m.name).join(', ') || 'No participants';
+}
+
+function describePaymentParties(payment) {
+    if (payment.refund) return `House fund → ${getMemberName(payment.member_id)}`;
+    if (payment.paid_to) return `${getMemberName(payment.member_id)} → ${getMemberName(payment.paid_to)}`;
+    return getMemberName(payment.member_id);
+}
+
+function renderPayments() {
+    const container = document.getElementById('payments-container');
+    const { filteredPayments } = getFilteredData();
+
+    if (payments.length === 0) {
+        container.innerHTML = `
+          <div class="card">
+            <div class="empty-state">
+              <div class="empty-icon">💳</div>
+              <div class="empty-title">No Payments Recorded</div>
+              <div class="empty-text">Add your first payment to start tracking</div>
+              <button class="btn btn-primary manager-only" onclick="openAddPaymentModal()">+ Add Payment</button>
+            </div>
+          </div>
+        `;
+        return;
+    }
+
+    if (filteredPayments.length === 0) {
+        container.innerHTML = `
+          <div class="card">
+            <div class="empty-state">
+              <div class="empty-icon">📅</div>
+              <div class="empty-title">No Payments in ${formatMonthKey(getSelectedMonthKey())}</div>
+              <div class="empty-text">Payments recorded for this month will appear here</div>
+              <button class="btn btn-primary manager-only" onclick="openAddPaymentModal()">+ Add Payment</button>
+            </div>
+          </div>
+        `;
+        return;
+    }
+
+    const tableHTML = `
+        <div class="card">
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Member</th>
+                  <th>Amount</th>
+                  <th>Method</th>
+                  <th>Note</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${filteredPayments.map(payment => {
+        return `
+                    <tr>
+                      <td>${new Date(payment.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
+                      <td>${describePaymentParties(payment)}</td>
+                      <td>${currencySymbol}${payment.amount.toLocaleString()}</td>
+                      <td>${payment.payment_method}</td>
+                      <td>${payment.note || '-'}</td>
+                      <td>
+                        <div class="action-buttons">
+                          <button class="btn btn-outline btn-sm manager-only" onclick="openEditPaymentModal('${payment.__backendId}')">Edit</button>
+                          <button class="btn btn-danger btn-sm manager-only" onclick="deletePayment('${payment.__backendId}')">Delete</button>
+                        </div>
+                      </td>
+                    </tr>
+                  `;
+    }).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      `;
+
+    container.innerHTML = tableHTML;
+}
+
+let selectedMealDate = toDateKey(new Date());
+let mealView = 'day';
+let calendarDrafts = new Map();
+let calendarDraft = new Map();
+let calendarDraftMonth = null;
+
+function setMealView(view) {
+    mealView = view;
+    document.getElementById('meal-day-view-btn').className = `btn ${view === 'day' ? 'btn-primary' : 'btn-outline'}`;
+    document.getElementById('meal-month-view-btn').className = `btn ${view === 'month' ? 'btn-primary' : 'btn-outline'}`;
+    document.getElementById('meal-date-controls').style.display = view === 'day' ? 'flex' : 'none';
+    renderMealsGrid();
+}
+
+window.setMealView = setMealView;
+
+function renderMealsGrid() {
+    const container = document.getElementById('meals-grid-container');
+    const titleElement = document.getElementById('meals-card-title');
+
+    if (mealView === 'month') {
+        renderMealCalendar();
+        return;
+    }
+
+    if (members.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">🍽️</div>
+            <div class="empty-title">No Members Yet</div>
+            <div class="empty-text">Add members first to track daily meals</div>
+          </div>
+        `;
+        return;
+    }
+
+    const dateObj = new Date(selectedMealDate + 'T00:00:00');
+    const formattedDate = dateObj.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    titleElement.textContent = `Daily Meals - ${formattedDate}`;
+
+    const mealMonthKey = getMonthKey(selectedMealDate);
+    const locked = !!getMonthClose(mealMonthKey);
+    const gridMembers = members.filter(m =>
+        isMemberActiveInMonth(m, mealMonthKey) ||
+        mealEntries.some(e => e.member_id === m.id && getMonthKey(e.meal_date) === mealMonthKey)
+    );
+    const memberObjects = gridMembers.map(m => new Member(m, null, null, null, mealMonthKey));
+
+    const headcount = getSlotHeadcount(selectedMealDate);
+
+    const cardsHTML = `
+        ${locked ? `<div class="locked-notice">🔒 ${formatMonthKey(mealMonthKey)} is closed. Reopen it from the Settlement page to edit meals.</div>` : ''}
+        <div class="headcount-bar">
+          Expected: ${mealSlots.map(slot => `<span>${mealSlotLabels[slot]} <strong>${headcount[slot]}</strong></span>`).join('')}
+        </div>
+        <div class="meals-grid">
+          ${memberObjects.map((memberObj, index) => {
+        const member = gridMembers[index];
+        const entry = memberObj.getMealEntryForDate(selectedMealDate) || {};
+        const monthlyTotal = memberObj.getMonthlyMealTotal();
+        const guestTotal = memberObj.getGuestMealTotal();
+        const away = !isMemberActiveOnDate(member, selectedMealDate);
+        const readOnly = !canEditMemberMeals(member.id);
+        const offSlots = getMealOffSlots(member.id, selectedMealDate);
+        const allDayOff = offSlots.length === mealSlots.length;
+
+        return `
+              <div class="meal-card ${offSlots.length > 0 ? 'meal-off' : ''}">
+                <div class="meal-member-name">${member.name}</div>
+                ${offSlots.length > 0 ? `<div class="meal-off-status">🚫 Meal off: ${allDayOff ? 'all day' : offSlots.join(', ')}</div>` : ''}
+                <div class="meal-slots">
+                  ${mealSlots.map(slot => {
+            const taken = !!(entry.slots && entry.slots[slot]);
+            return `
+                    <label class="meal-slot ${taken ? 'active' : ''}">
+                      <input type="checkbox" ${taken ? 'checked' : ''} ${locked || away || readOnly || offSlots.includes(slot) ? 'disabled' : ''}
+                        onchange="toggleMealSlot('${member.id}', '${slot}', this.checked)">
+                      ${mealSlotLabels[slot]}
+                    </label>
+                  `;
+        }).join('')}
+                </div>
+                <div class="meal-counter">
+                  ${getMealFieldLabels(entry).map(([field, label]) => `
+                    <label class="meal-field">
+                      <span>${label}</span>
+                      <input type="number" class="meal-input" value="${entry[field] || 0}" min="0" step="0.5" ${locked || away || readOnly || (allDayOff && field !== 'guest_count') ? 'disabled' : ''}
+                        onchange="updateMealCountDirect('${member.id}', this.value, '${field}')"
+                        onclick="this.select()">
+                    </label>
+                  `).join('')}
+                </div>
+                <div class="meal-total">${away ? describeAbsence(member, selectedMealDate) :
+                `Total: ${formatMeals(monthlyTotal)} meals this month${guestTotal > 0 ? ` (${formatMeals(guestTotal)} guest)` : ''}`}</div>
+                ${readOnly && !away ? '<div class="form-hint">🔒 Only a manager can change other members</div>' : ''}
+              </div>
+            `;
+    }).join('')}
+        </div>
+      `;
+
+    container.innerHTML = cardsHTML;
+}
+
+const mealFieldLabels = [['meal_count', 'Extra Meals'], ['guest_count', 'Guests']];
+
+// Entries saved before meal slots may still bill weighted breakfasts; keep them editable until cleared
+function getMealFieldLabels(entry) {
+    return entry.breakfast_count ?
+        [mealFieldLabels[0], ['breakfast_count', 'Breakfasts (old)'], mealFieldLabels[1]] :
+        mealFieldLabels;
+}
+
+async function updateMealCountDirect(memberId, newValue, field = 'meal_count') {
+    const count = parseFloat(newValue) || 0;
+    if (count < 0) {
+        renderMealsGrid();
+        return;
+    }
+
+    await saveMealEntryChange(memberId, { [field]: count });
+}
+
+window.updateMealCountDirect = updateMealCountDirect;
+
+async function toggleMealSlot(memberId, slot, taken) {
+    const existingMeal = mealEntries.find(m => m.member_id === memberId && m.meal_date === selectedMealDate);
+    const slots = { ...((existingMeal && existingMeal.slots) || {}), [slot]: taken };
+    await saveMealEntryChange(memberId, { slots });
+}
+
+window.toggleMealSlot = toggleMealSlot;
+
+// Meal calendar
+// Cells hold a member's own meal units for the day; guests stay on the entry untouched.
+// Edits and bulk actions collect in calendarDraft until they are saved as one batch.
+// Each month keeps its own draft, so switching months leaves unsaved edits in place.
+function getCalendarMembers(monthKey) {
+    return members.filter(m =>
+        isMemberActiveInMonth(m, monthKey) ||
+        mealEntries.some(e => e.member_id === m.id && getMonthKey(e.meal_date) === monthKey)
+    );
+}
+
+function getOwnMealUnits(memberId, dateKey) {
+    const entry = mealEntries.find(m => m.member_id === memberId && m.meal_date === dateKey);
+    return entry ? getMealUnits(entry) - (entry.guest_count || 0) : 0;
+}
+
+function getCalendarValue(memberId, dateKey) {
+    const key = `${memberId}|${dateKey}`;
+    return calendarDraft.has(key) ? calendarDraft.get(key) : getOwnMealUnits(memberId, dateKey);
+}
+
+function setCalendarValue(memberId, dateKey, value) {
+    const key = `${memberId}|${dateKey}`;
+    if (Math.abs(getOwnMealUnits(memberId, dateKey) - value) < 0.001) {
+        calendarDraft.delete(key);
+    } else {
+        calendarDraft.set(key, value);
+    }
+}
+
+function renderMealCalendar() {
+    const container = document.getElementById('meals-grid-container');
+    const monthKey = getSelectedMonthKey();
+    const locked = !!getMonthClose(monthKey);
+    const dates = getMonthDates(monthKey);
+    const calendarMembers = getCalendarMembers(monthKey);
+
+    if (calendarDraftMonth !== monthKey) {
+        if (!calendarDrafts.has(monthKey)) calendarDrafts.set(monthKey, new Map());
+        calendarDraft = calendarDrafts.get(monthKey);
+        calendarDraftMonth = monthKey;
+    }
+
+    document.getElementById('meals-card-title').textContent = `Meal Calendar - ${formatMonthKey(monthKey)}`;
+
+    const memberOptions = calendarMembers.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+    const dateBounds = `min="${dates[0]}" max="${dates[dates.length - 1]}"`;
+    const today = toDateKey(new Date());
+    const defaultDate = getMonthKey(today) === monthKey ? today : dates[0];
+
+    container.innerHTML = `
+        ${locked ? `<div class="locked-notice">🔒 ${formatMonthKey(monthKey)} is closed. Reopen it from the Settlement page to edit meals.</div>` : `
+        <div class="calendar-bulk">
+          <div class="calendar-bulk-row">
+            Fill <input type="number" id="bulk-fill-count" class="form-control" value="2" min="0" step="0.5">
+            meals for <select id="bulk-fill-member" class="form-control"><option value="">Everyone</option>${memberOptions}</select>
+            on <select id="bulk-fill-days" class="form-control">
+              <option value="weekdays">Mon–Fri</option>
+              <option value="all">Every day</option>
+              <option value="weekends">Sat &amp; Sun</option>
+            </select>
+            from <input type="date" id="bulk-fill-from" class="form-control" value="${dates[0]}" ${dateBounds}>
+            to <input type="date" id="bulk-fill-to" class="form-control" value="${dates[dates.length - 1]}" ${dateBounds}>
+            <button class="btn btn-outline btn-sm" onclick="applyCalendarFill()">Apply</button>
+          </div>
+          <div class="calendar-bulk-row">
+            Copy the previous day into <input type="date" id="bulk-copy-date" class="form-control" value="${defaultDate}" ${dateBounds}>
+            <button class="btn btn-outline btn-sm" onclick="applyCalendarCopy()">Apply</button>
+          </div>
+          <div class="calendar-bulk-row">
+            Mark <select id="bulk-off-member" class="form-control">${memberOptions}</select>
+            off from <input type="date" id="bulk-off-from" class="form-control" value="${defaultDate}" ${dateBounds}>
+            to <input type="date" id="bulk-off-to" class="form-control" value="${defaultDate}" ${dateBounds}>
+            <button class="btn btn-outline btn-sm" onclick="applyCalendarOff()">Apply</button>
+          </div>
+        </div>
+        `}
+        <div class="table-wrapper">
+          <table class="meal-calendar">
+            <thead>
+              <tr>
+                <th>Member</th>
+                ${dates.map(date => {
+        const day = new Date(date + 'T00:00:00');
+        return `<th class="${[0, 6].includes(day.getDay()) ? 'calendar-weekend' : ''}">${day.getDate()}<br><small>${day.toLocaleDateString('en-US', { weekday: 'narrow' })}</small></th>`;
+    }).join('')}
+                <th>Total</th>
+                <th>Guests</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${calendarMembers.map((member, row) => `
+                <tr>
+                  <td class="calendar-member">${member.name}</td>
+                  ${dates.map((date, col) => {
+        const value = getCalendarValue(member.id, date);
+        const pending = calendarDraft.has(`${member.id}|${date}`);
+        const away = !isMemberActiveOnDate(member, date);
+        const off = isMealOffAllDay(member.id, date);
+        const readOnly = !canEditMemberMeals(member.id);
+        const title = away ? describeAbsence(member, date) : off ? 'Meal off' : readOnly ? 'Only a manager can change other members' : '';
+        return `<td class="${pending ? 'calendar-pending' : ''}"><input type="text" inputmode="decimal" class="calendar-input"
+                      data-row="${row}" data-col="${col}" data-member-id="${member.id}" data-date="${date}"
+                      value="${value ? formatMeals(value) : ''}" ${locked || away || off || readOnly ? `disabled title="${title}"` : ''}></td>`;
+    }).join('')}
+                  <td class="calendar-total" data-row-total="${row}"></td>
+                  <td class="calendar-total">${formatMeals(new Member(member, null, null, null, monthKey).getGuestMealTotal())}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td class="calendar-member">Total</td>
+                ${dates.map((date, col) => `<td class="calendar-total" data-col-total="${col}"></td>`).join('')}
+                <td class="calendar-total" id="calendar-grand-total"></td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        <div class="calendar-footer">
+          <span id="calendar-draft-status"></span>
+          <button class="btn btn-outline btn-sm" onclick="discardCalendarDraft()" id="discard-calendar-btn">Discard</button>
+          <button class="btn btn-success btn-sm" onclick="saveCalendarDraft()" id="save-calendar-btn">✓ Save Changes</button>
+        </div>
+      `;
+
+    updateCalendarTotals();
+}
+
+function updateCalendarTotals() {
+    const rowTotals = {};
+    const colTotals = {};
+
+    document.querySelectorAll('#meals-grid-container .calendar-input').forEach(input => {
+        const value = getCalendarValue(input.dataset.memberId, input.dataset.date);
+        rowTotals[input.dataset.row] = (rowTotals[input.dataset.row] || 0) + value;
+        colTotals[input.dataset.col] = (colTotals[input.dataset.col] || 0) + value;
+    });
+
+    document.querySelectorAll('[data-row-total]').forEach(cell => {
+        cell.textContent = formatMeals(rowTotals[cell.dataset.rowTotal] || 0);
+    });
+    document.querySelectorAll('[data-col-total]').forEach(cell => {
+        const total = colTotals[cell.dataset.colTotal] || 0;
+        cell.textContent = total ? formatMeals(total) : '';
+    });
+    document.getElementById('calendar-grand-total').textContent =
+        formatMeals(Object.values(rowTotals).reduce((sum, v) => sum + v, 0));
+
+    const pendingCount = calendarDraft.size;
+    document.getElementById('calendar-draft-status').textContent =
+        pendingCount > 0 ? `${pendingCount} unsaved change${pendingCount === 1 ? '' : 's'}` : 'All changes saved';
+    document.getElementById('save-calendar-btn').disabled = pendingCount === 0;
+    document.getElementById('discard-calendar-btn').disabled = pendingCount === 0;
+}
+
+function handleCalendarInput(e) {
+    const input = e.target;
+    if (!input.classList.contains('calendar-input')) return;
+
+    const value = input.value.trim() === '' ? 0 : parseFloat(input.value);
+    if (isNaN(value) || value < 0) {
+        showToast('Enter a meal count of 0 or more');
+        const current = getCalendarValue(input.dataset.memberId, input.dataset.date);
+        input.value = current ? formatMeals(current) : '';
+        return;
+    }
+
+    setCalendarValue(input.dataset.memberId, input.dataset.date, value);
+    input.parentElement.classList.toggle('calendar-pending', calendarDraft.has(`${input.dataset.memberId}|${input.dataset.date}`));
+    updateCalendarTotals();
+}
+
+// Arrow keys move between cells; Enter moves down like a spreadsheet
+function handleCalendarKeydown(e) {
+    const input = e.target;
+    if (!input.classList.contains('calendar-input')) return;
+
+    const moves = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0], Enter: [1, 0] };
+    const move = moves[e.key];
+    if (!move) return;
+
+    e.preventDefault();
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+
+    const next = document.querySelector(
+        `#meals-grid-container .calendar-input[data-row="${Number(input.dataset.row) + move[0]}"][data-col="${Number(input.dataset.col) + move[1]}"]`
+    );
+    if (next) {
+        next.focus();
+        next.select();
+    }
+}
+
+function eachCalendarCell(memberIds, fromDate, toDate, callback) {
+    const monthKey = getSelectedMonthKey();
+    getMonthDates(monthKey)
+        .filter(date => date >= fromDate && date <= toDate)
+        .forEach(date => {
+            getCalendarMembers(monthKey)
+                .filter(m => memberIds.includes(m.id) && isMemberActiveOnDate(m, date) && !isMealOffAllDay(m.id, date) && canEditMemberMeals(m.id))
+                .forEach(m => callback(m, date));
+        });
+}
+
+window.applyCalendarFill = function () {
+    const count = parseFloat(document.getElementById('bulk-fill-count').value);
+    const memberId = document.getElementById('bulk-fill-member').value;
+    const days = document.getElementById('bulk-fill-days').value;
+    const fromDate = document.getElementById('bulk-fill-from').value;
+    const toDate = document.getElementById('bulk-fill-to').value;
+
+    if (isNaN(count) || count < 0 || !fromDate || !toDate || fromDate > toDate) {
+        showToast('Enter a meal count and a valid date range');
+        return;
+    }
+
+    const memberIds = memberId ? [memberId] : getCalendarMembers(getSelectedMonthKey()).map(m => m.id);
+    eachCalendarCell(memberIds, fromDate, toDate, (member, date) => {
+        const weekday = new Date(date + 'T00:00:00').getDay();
+        const isWeekend = weekday === 0 || weekday === 6;
+        if ((days === 'weekdays' && isWeekend) || (days === 'weekends' && !isWeekend)) return;
+        setCalendarValue(member.id, date, count);
+    });
+
+    renderMealCalendar();
+};
+
+window.applyCalendarCopy = function () {
+    const date = document.getElementById('bulk-copy-date').value;
+    if (!date) return;
+
+    const previousDate = shiftDateKey(date, -1);
+    const memberIds = getCalendarMembers(getSelectedMonthKey()).map(m => m.id);
+    eachCalendarCell(memberIds, date, date, member => {
+        setCalendarValue(member.id, date, getCalendarValue(member.id, previousDate));
+    });
+
+    renderMealCalendar();
+};
+
+window.applyCalendarOff = function () {
+    const memberId = document.getElementById('bulk-off-member').value;
+    const fromDate = document.getElementById('bulk-off-from').value;
+    const toDate = document.getElementById('bulk-off-to').value;
+
+    if (!memberId || !fromDate || !toDate || fromDate > toDate) {
+        showToast('Choose a member and a valid date range');
+        return;
+    }
+
+    eachCalendarCell([memberId], fromDate, toDate, (member, date) => setCalendarValue(member.id, date, 0));
+    renderMealCalendar();
+};
+
+window.discardCalendarDraft = function () {
+    calendarDraft.clear();
+    renderMealCalendar();
+};
+
+// A cell's value is the member's own meals; slots stay as recorded and only the extra meal count
+// absorbs the difference. Lowering a cell below its slots clears them and keeps a plain count.
+function applyCalendarValue(entry, value) {
+    const fixedUnits = getMealUnits({ ...entry, meal_count: 0, guest_count: 0 });
+    if (value >= fixedUnits) return { ...entry, meal_count: value - fixedUnits };
+    return { ...entry, meal_count: value, breakfast_count: 0, slots: {} };
+}
+
+window.saveCalendarDraft = async function () {
+    const draft = calendarDraft;
+    const created = [];
+    const updated = [];
+    const deleted = [];
+
+    draft.forEach((value, key) => {
+        const [memberId, date] = key.split('|');
+        const existingMeal = mealEntries.find(m => m.member_id === memberId && m.meal_date === date);
+
+        if (existingMeal) {
+            const updatedMeal = applyCalendarValue(existingMeal, value);
+            if (isEmptyMealEntry(updatedMeal)) deleted.push(existingMeal);
+            else updated.push(updatedMeal);
+        } else if (value > 0) {
+            created.push({
+                type: 'meal_entry',
+                id: `${Date.now()}_${memberId}_${date}`,
+                member_id: memberId,
+                meal_date: date,
+                meal_count: value
+            });
+        }
+    });
+
+    if (exceedsRecordLimit(getRecordCountAfter(created.length - deleted.length, created.length + updated.length + deleted.length))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
+        return;
+    }
+
+    const changeCount = draft.size;
+    const result = await applyRecordBatch({ created, updated, deleted });
+
+    if (result.isOk) {
+        draft.clear();
+        renderMealCalendar();
+        showToast(`Saved ${changeCount} meal change${changeCount === 1 ? '' : 's'}`);
+    } else {
+        showToast(result.error || 'Failed to save meals');
+    }
+};
+
+// Creates, updates or removes the member's entry for the selected meal date
+async function saveMealEntryChange(memberId, changes) {
+    if (getMonthClose(getMonthKey(selectedMealDate))) {
+        showToast(`🔒 ${formatMonthKey(getMonthKey(selectedMealDate))} is closed`);
+        renderMealsGrid();
+        return;
+    }
+
+    const member = members.find(m => m.id === memberId);
+    if (member && !isMemberActiveOnDate(member, selectedMealDate)) {
+        showToast(`${member.name}: ${describeAbsence(member, selectedMealDate)}`);
+        renderMealsGrid();
+        return;
+    }
+
+    const offSlots = getMealOffSlots(memberId, selectedMealDate);
+    const turnsOnOffSlot = changes.slots && offSlots.some(slot => changes.slots[slot]);
+    const countsOnDayOff = offSlots.length === mealSlots.length && (changes.meal_count > 0 || changes.breakfast_count > 0);
+    if (turnsOnOffSlot || countsOnDayOff) {
+        showToast(`${member ? member.name : 'This member'} has a meal off scheduled`);
+        renderMealsGrid();
+        return;
+    }
+
+    const existingMeal = mealEntries.find(m => m.member_id === memberId && m.meal_date === selectedMealDate);
+
+    if (existingMeal) {
+        const updatedMeal = { ...existingMeal, ...changes };
+        if (isEmptyMealEntry(updatedMeal)) {
+            await deleteRecord(existingMeal);
+        } else {
+            await updateRecord(updatedMeal);
+        }
+    } else {
+        const newMeal = {
+            type: 'meal_entry',
+            id: Date.now().toString() + '_' + memberId,
+            member_id: memberId,
+            meal_date: selectedMealDate,
+            meal_count: 0,
+            ...changes
+        };
+
+        if (!isEmptyMealEntry(newMeal)) await createRecord(newMeal);
+    }
+}
+
+function renderSettlement() {
+    const container = document.getElementById('settlement-container');
+    const actions = document.getElementById('month-close-actions');
+    const monthKey = getSelectedMonthKey();
+    const closed = getMonthClose(monthKey);
+
+    actions.innerHTML = closed ? `
+        <span class="status-badge status-paid">🔒 Closed ${new Date(closed.closed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+        <button class="btn btn-outline btn-sm manager-only" onclick="reopenMonth('${monthKey}')">Reopen</button>
+      ` : `
+        <button class="btn btn-primary btn-sm manager-only" onclick="closeMonth('${monthKey}')" ${members.length === 0 ? 'disabled' : ''}>🔒 Close ${formatMonthKey(monthKey)}</button>
+      `;
+
+    renderSettlementPlan(monthKey);
+
+    if (members.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">📝</div>
+            <div class="empty-title">No Settlement Data</div>
+            <div class="empty-text">Add members and record payments to generate settlement reports</div>
+          </div>
+        `;
+        return;
+    }
+
+    const report = BachelorHouseMealManager.settlementReport(monthKey);
+    const mealRates = describeMealRates(monthKey, currencySymbol);
+    const fixedCost = BachelorHouseMealManager.totalFixedCost(monthKey);
+
+    const tableHTML = `
+        <div class="settlement-rates">
+          ${mealRates.map(rate => `<span>🍽️ Meal Rate: <strong>${rate}</strong></span>`).join('')}
+          <span>🏠 Fixed Costs: <strong>${currencySymbol}${fixedCost.toLocaleString()}</strong></span>
+        </div>
+        <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Join Date</th>
+                <th>Days</th>
+                <th>Monthly Meals</th>
+                <th>Guest Meals</th>
+                <th>Meal Cost</th>
+                <th>Fixed Cost</th>
+                <th>Total Bills</th>
+                <th>Opening Balance</th>
+                <th>Spent on House</th>
+                <th>Total Paid</th>
+                <th>Total Due</th>
+                <th>Advance Payment</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${report.map(member => {
+        const status = member.total_due > 0 ? 'due' : 'paid';
+        const statusClass = status === 'paid' ? 'status-paid' : 'status-due';
+        const statusText = status === 'paid' ? 'Fully Paid' : 'Pending';
+
+        return `
+                  <tr>
+                    <td>${member.name}</td>
+                    <td>${new Date(member.join_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
+                    <td>${formatResidentDays(member.resident_days, monthKey)}</td>
+                    <td style="font-weight: 600; color: #0B5FFF;">${formatMeals(member.monthly_meals)} meals</td>
+                    <td>${formatMeals(member.guest_meals || 0)}</td>
+                    <td>${currencySymbol}${member.meal_cost.toFixed(0).toLocaleString()}</td>
+                    <td>${currencySymbol}${member.fixed_cost.toFixed(0).toLocaleString()}</td>
+                    <td>${currencySymbol}${member.total_bills.toFixed(0).toLocaleString()}</td>
+                    <td style="color: ${member.opening_balance < 0 ? '#FF4D4F' : '#718096'};">${formatBalance(member.opening_balance)}</td>
+                    <td>${currencySymbol}${(member.spent_on_house || 0).toFixed(0).toLocaleString()}</td>
+                    <td>${currencySymbol}${member.total_paid.toLocaleString()}</td>
+                    <td style="color: ${member.total_due > 0 ? '#FF4D4F' : '#00C48C'}; font-weight: 600;">${currencySymbol}${member.total_due.toFixed(0).toLocaleString()}</td>
+                    <td style="color: ${member.advance > 0 ? '#00C48C' : '#718096'}; font-weight: 600;">${currencySymbol}${member.advance.toFixed(0).toLocaleString()}</td>
+                    <td><span class="status-badge ${statusClass}">${statusText}</span></td>
+                  </tr>
+                `;
+    }).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+
+    container.innerHTML = tableHTML;
+}
+
+// Names the members a meal-rate group covers, or null when it is everyone living in the house that month
+function getMealRateGroupLabel(group, monthKey) {
+    if (!group.member_ids) return null;
+    const residentIds = members.filter(m => isMemberActiveInMonth(m, monthKey)).map(m => m.id);
+    if (residentIds.length === group.member_ids.length && residentIds.every(id => group.member_ids.includes(id))) return null;
+    return group.member_ids.map(id => (members.find(m => m.id === id) || { name: 'Unknown' }).name).join(', ');
+}
+
+// One line per group; a group that ate no meals is split like a fixed cost instead
+function describeMealRates(monthKey, symbol) {
+    const groups = BachelorHouseMealManager.mealRateGroups(monthKey);
+    if (groups.length === 0) return [`${symbol}0.00 per meal`];
+
+    return groups.map(group => {
+        const label = getMealRateGroupLabel(group, monthKey);
+        const rate = group.member_ids && group.meals === 0 ?
+            `${symbol}${group.amount.toLocaleString()} split like fixed costs` :
+            `${symbol}${group.rate.toFixed(2)} per meal`;
+        return label ? `${rate} (${label})` : rate;
+    });
+}
+
+// Settlement plan
+function getPartyName(memberId) {
+    return memberId === null ? 'House fund' : getMemberName(memberId);
+}
+
+function describeTransfer(transfer) {
+    return `${getPartyName(transfer.from)} → ${getPartyName(transfer.to)}`;
+}
+
+// Plan payments land in the month they settle so its balances drop to zero
+function getSettlementDate(monthKey) {
+    const today = toDateKey(new Date());
+    if (getMonthKey(today) === monthKey) return today;
+    if (getMonthKey(today) > monthKey) return `${monthKey}-${String(getDaysInMonth(monthKey)).padStart(2, '0')}`;
+    return `${monthKey}-01`;
+}
+
+function transferToPayment(transfer, monthKey, idSuffix = '') {
+    const payment = {
+        type: 'payment',
+        id: Date.now().toString() + idSuffix,
+        member_id: transfer.from === null ? transfer.to : transfer.from,
+        amount: transfer.amount,
+        date: getSettlementDate(monthKey),
+        payment_method: 'cash',
+        note: `Settlement: ${describeTransfer(transfer)}`
+    };
+
+    if (transfer.from === null) payment.refund = true;
+    else if (transfer.to !== null) payment.paid_to = transfer.to;
+
+    return payment;
+}
+
+function renderSettlementPlan(monthKey) {
+    const container = document.getElementById('settlement-plan-container');
+    const actions = document.getElementById('settlement-plan-actions');
+    const closed = getMonthClose(monthKey);
+    const plan = members.length > 0 ? BachelorHouseMealManager.settlementPlan(monthKey) : [];
+
+    actions.innerHTML = plan.length > 0 && !closed ?
+        `<button class="btn btn-success btn-sm manager-only" onclick="recordAllTransfers()">✓ Record All</button>` : '';
+
+    if (plan.length === 0) {
+        container.innerHTML = `<p class="form-hint">Everyone is settled up for ${formatMonthKey(monthKey)}.</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        ${closed ? `<div class="locked-notice">🔒 ${formatMonthKey(monthKey)} is closed. Its balances carry into ${formatMonthKey(shiftMonthKey(monthKey, 1))}; settle them there.</div>` : ''}
+        <div class="settlement-plan">
+          ${plan.map((transfer, index) => `
+            <div class="settlement-transfer">
+              <span class="transfer-parties">${getPartyName(transfer.from)} <span class="transfer-arrow">→</span> ${getPartyName(transfer.to)}</span>
+              <span class="transfer-amount">${currencySymbol}${transfer.amount.toLocaleString()}</span>
+              ${closed ? '' : `<button class="btn btn-outline btn-sm manager-only" onclick="recordTransfer(${index})">Record Payment</button>`}
+            </div>
+          `).join('')}
+        </div>
+      `;
+}
+
+window.recordTransfer = async function (index) {
+    const monthKey = getSelectedMonthKey();
+    const transfer = BachelorHouseMealManager.settlementPlan(monthKey)[index];
+    if (!transfer) return;
+
+    if (exceedsRecordLimit(getRecordCountAfter(1))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
+        return;
+    }
+
+    const result = await createRecord(transferToPayment(transfer, monthKey));
+
+    if (result.isOk) {
+        showToast(`Recorded ${describeTransfer(transfer)} ${currencySymbol}${transfer.amount.toLocaleString()}`);
+    } else {
+        showToast(result.error || 'Failed to record payment');
+    }
+};
+
+window.recordAllTransfers = async function () {
+    const monthKey = getSelectedMonthKey();
+    const plan = BachelorHouseMealManager.settlementPlan(monthKey);
+    if (plan.length === 0) return;
+
+    if (exceedsRecordLimit(getRecordCountAfter(plan.length))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
+        return;
+    }
+
+    const created = plan.map((transfer, index) => transferToPayment(transfer, monthKey, `_${index}`));
+    const result = await applyRecordBatch({ created });
+
+    if (result.isOk) {
+        showToast(`Recorded ${created.length} settlement payments`);
+    } else {
+        showToast(result.error || 'Failed to record payments');
+    }
+};
+
+// Reports from months closed before pro-rating have no day counts
+function formatResidentDays(residentDays, monthKey) {
+    return residentDays === undefined ? '-' : `${residentDays}/${getDaysInMonth(monthKey)}`;
+}
+
+// Opening balances carry a sign: + is an advance, - is a due
+function formatBalance(balance) {
+    const rounded = Math.round(balance);
+    if (rounded === 0) return `${currencySymbol}0`;
+    return `${rounded > 0 ? '+' : '-'}${currencySymbol}${Math.abs(rounded).toLocaleString()}`;
+}
+
+function updateDashboardStats() {
+    const monthKey = getSelectedMonthKey();
+    const report = BachelorHouseMealManager.settlementReport(monthKey);
+    const totalExpense = BachelorHouseMealManager.totalExpense(monthKey);
+    const totalDeposits = BachelorHouseMealManager.totalDeposits(monthKey, report);
+    const totalDue = BachelorHouseMealManager.totalDue(monthKey, report);
+
+    document.getElementById('total-expense').textContent = `${currencySymbol}${totalExpense.toLocaleString()}`;
+    document.getElementById('total-deposits').textContent = `${currencySymbol}${totalDeposits.toLocaleString()}`;
+    document.getElementById('total-due').textContent = `${currencySymbol}${totalDue.toFixed(0).toLocaleString()}`;
+
+    document.getElementById('settlement-total-expense').textContent = `${currencySymbol}${totalExpense.toLocaleString()}`;
+    document.getElementById('settlement-total-deposits').textContent = `${currencySymbol}${totalDeposits.toLocaleString()}`;
+    document.getElementById('settlement-total-due').textContent = `${currencySymbol}${totalDue.toFixed(0).toLocaleString()}`;
+
+    renderMealPlan();
+    renderAnalytics();
+}
+
+// Analytics
+// Charts cover the selected month and the months before it
+let analyticsRange = 6;
+const deltaBillTypes = ['electricity', 'market'];
+
+function getAnalyticsMonths(endMonthKey = getSelectedMonthKey(), count = analyticsRange) {
+    return Array.from({ length: count }, (_, i) => shiftMonthKey(endMonthKey, i - count + 1));
+}
+
+function getExpenseByType(monthKey) {
+    const totals = {};
+    bills.filter(b => getMonthKey(b.date) === monthKey).forEach(b => {
+        const billType = billIcons[b.bill_type] ? b.bill_type : 'other';
+        totals[billType] = (totals[billType] || 0) + b.amount;
+    });
+    return totals;
+}
+
+// change is null when there is nothing to compare against
+function getExpenseDelta(billType, monthKey) {
+    const current = getExpenseByType(monthKey)[billType] || 0;
+    const previous = getExpenseByType(shiftMonthKey(monthKey, -1))[billType] || 0;
+    return { current, previous, change: previous > 0 ? (current - previous) / previous : null };
+}
+
+function renderAnalytics() {
+    const months = getAnalyticsMonths();
+    const monthKey = getSelectedMonthKey();
+    const shortMonth = key => new Date(key + '-01T00:00:00').toLocaleDateString('en-US', { month: 'short' });
+
+    document.getElementById('expense-deltas').innerHTML = deltaBillTypes.map(billType => {
+        const delta = getExpenseDelta(billType, monthKey);
+        const up = delta.current > delta.previous;
+        return `
+        <div class="delta-card">
+          <div class="card-label">${billIcons[billType].icon} ${billType === 'market' ? 'Market' : 'Electricity'}</div>
+          <div class="card-value">${currencySymbol}${delta.current.toLocaleString()}</div>
+          <div class="delta-change ${delta.current === delta.previous ? '' : up ? 'up' : 'down'}">
+            ${delta.change === null ? 'No spending last month' :
+                `${up ? '▲' : delta.current < delta.previous ? '▼' : '='} ${Math.abs(delta.change * 100).toFixed(0)}% vs ${currencySymbol}${delta.previous.toLocaleString()} last month`}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    // Each month's report and meal totals are built once and shared by all three charts
+    const monthStats = months.map(key => {
+        const mealTotals = getMealTotals(mealEntries, key);
+        const report = BachelorHouseMealManager.settlementReport(key);
+        return {
+            month: key,
+            mealTotals: mealTotals,
+            rate: BachelorHouseMealManager.mealRate(key, mealTotals),
+            collected: BachelorHouseMealManager.totalDeposits(key, report)
+        };
+    });
+
+    // Expense by bill type, stacked per month
+    const expenses = monthStats.map(stats => ({ month: stats.month, byType: getExpenseByType(stats.month), collected: stats.collected }));
+    const maxExpense = Math.max(1, ...expenses.map(e => Object.values(e.byType).reduce((sum, v) => sum + v, 0)));
+    const usedTypes = Object.keys(billIcons).filter(t => expenses.some(e => e.byType[t]));
+
+    document.getElementById('expense-chart').innerHTML = `
+        <div class="bar-chart">
+          ${expenses.map(e => {
+        const total = Object.values(e.byType).reduce((sum, v) => sum + v, 0);
+        return `
+            <div class="bar-column" title="${formatMonthKey(e.month)}: ${currencySymbol}${total.toLocaleString()} spent, ${currencySymbol}${e.collected.toLocaleString()} collected">
+              <div class="bar-value">${total > 0 ? `${currencySymbol}${total.toLocaleString()}` : ''}</div>
+              <div class="bar-stack" style="height: ${(total / maxExpense) * 100}%;">
+                ${usedTypes.filter(t => e.byType[t]).map(t => `<div style="flex: ${e.byType[t]}; background: ${billIcons[t].color};"></div>`).join('')}
               </div>
-            `;
+              <div class="bar-label ${e.month === monthKey ? 'current' : ''}">${shortMonth(e.month)}</div>
+            </div>
+          `;
     }).join('')}
         </div>
-      `;
+        <div class="chart-legend">
+          ${usedTypes.map(t => `<span><i style="background: ${billIcons[t].color};"></i>${billIcons[t].icon} ${billTypeLabels[t]}</span>`).join('') || '<span>No bills in this range</span>'}
+        </div>
+      `;
+
+    // Meal rate trend
+    const rates = monthStats.map(stats => ({ month: stats.month, rate: stats.rate }));
+    const maxRate = Math.max(1, ...rates.map(r => r.rate));
+    document.getElementById('meal-rate-chart').innerHTML = `
+        <div class="bar-chart">
+          ${rates.map(r => `
+            <div class="bar-column" title="${formatMonthKey(r.month)}: ${currencySymbol}${r.rate.toFixed(2)} per meal">
+              <div class="bar-value">${r.rate > 0 ? `${currencySymbol}${r.rate.toFixed(0)}` : ''}</div>
+              <div class="bar-stack" style="height: ${(r.rate / maxRate) * 100}%;"><div style="flex: 1; background: #00C48C;"></div></div>
+              <div class="bar-label ${r.month === monthKey ? 'current' : ''}">${shortMonth(r.month)}</div>
+            </div>
+          `).join('')}
+        </div>
+      `;
+
+    // Per-member meals across the range
+    const consumption = members.map(m => ({
+        name: m.name,
+        meals: monthStats.reduce((sum, stats) => sum + (stats.mealTotals[m.id] || 0), 0)
+    })).filter(c => c.meals > 0).sort((a, b) => b.meals - a.meals);
+    const maxMeals = Math.max(1, ...consumption.map(c => c.meals));
+
+    document.getElementById('member-meals-chart').innerHTML = consumption.length === 0 ?
+        '<p class="form-hint">No meals in this range.</p>' :
+        consumption.map(c => `
+        <div class="hbar-row">
+          <span class="hbar-name">${c.name}</span>
+          <div class="hbar-track"><div class="hbar-fill" style="width: ${(c.meals / maxMeals) * 100}%;"></div></div>
+          <span class="hbar-value">${formatMeals(c.meals)}</span>
+        </div>
+      `).join('');
+}
+
+// Former members stay selectable so they can still settle their dues
+function updatePaymentMemberSelect() {
+    const select = document.getElementById('payment-member');
+    const formerMembers = members.filter(hasLeft);
+    select.innerHTML = '<option value="">Choose a member...</option>' +
+        members.filter(m => !hasLeft(m)).map(m => `<option value="${m.id}">${m.name}</option>`).join('') +
+        (formerMembers.length > 0 ?
+            `<optgroup label="Former members">${formerMembers.map(m => `<option value="${m.id}">${m.name}</option>`).join('')}</optgroup>` : '');
+}
+
+// Pages without their own nav item keep a parent item highlighted
+function showPage(pageName, navPage = pageName) {
+    document.querySelectorAll('.nav-item').forEach(nav => {
+        nav.classList.toggle('active', nav.getAttribute('data-page') === navPage);
+    });
+    document.querySelectorAll('.page').forEach(page => page.classList.remove('active'));
+    document.getElementById(`${pageName}-page`).classList.add('active');
+
+    if (pageName !== 'member-detail') viewingMemberId = null;
+    if (pageName === 'bills') promptRecurringBills();
+}
+
+// Member detail
+function openMemberDetail(memberId) {
+    viewingMemberId = memberId;
+    const today = toDateKey(new Date());
+    document.getElementById('meal-off-from').value = today;
+    document.getElementById('meal-off-to').value = today;
+    showPage('member-detail', 'members');
+    renderMemberDetail();
+}
+
+window.openMemberDetail = openMemberDetail;
+
+// One row per month from the member's first month up to the selected month
+function getMemberLedger(memberId, untilMonthKey = getSelectedMonthKey()) {
+    const member = members.find(m => m.id === memberId);
+    const earliestMonthKey = getEarliestMonthKey();
+    if (!member || !earliestMonthKey) return [];
+
+    const joinMonthKey = getMonthKey(member.join_date);
+    const ledger = [];
+    for (let monthKey = joinMonthKey > earliestMonthKey ? joinMonthKey : earliestMonthKey; monthKey <= untilMonthKey; monthKey = shiftMonthKey(monthKey, 1)) {
+        const row = BachelorHouseMealManager.settlementReport(monthKey).find(r => r.member_id === memberId);
+        if (!row) continue;
+
+        ledger.push({
+            month: monthKey,
+            closed: !!getMonthClose(monthKey),
+            opening_balance: row.opening_balance,
+            meals: row.monthly_meals,
+            bill_share: row.total_bills,
+            paid: row.total_paid,
+            closing_balance: BachelorHouseMealManager.closingBalance(memberId, monthKey)
+        });
+    }
+    return ledger;
+}
+
+// Payments up to the selected month, so the page matches the statement for that month
+function getMemberPayments(memberId, monthKey) {
+    return payments
+        .filter(p => (p.member_id === memberId || p.paid_to === memberId) && getMonthKey(p.date) <= monthKey)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function renderMemberMealChart(member, monthKey) {
+    const days = getMonthDates(monthKey).map(date => {
+        const entry = mealEntries.find(m => m.member_id === member.id && m.meal_date === date);
+        return { date, units: entry ? getMealUnits(entry) : 0, off: isMealOffAllDay(member.id, date) };
+    });
+    const maxUnits = Math.max(1, ...days.map(d => d.units));
+
+    return `
+        <div class="meal-chart">
+          ${days.map(d => `
+            <div class="meal-chart-day ${d.off ? 'off' : ''}" title="${formatShortDate(d.date)}: ${d.off ? 'Meal off' : `${formatMeals(d.units)} meals`}">
+              <div class="meal-chart-bar" style="height: ${(d.units / maxUnits) * 100}%;"></div>
+              <span>${Number(d.date.slice(8))}</span>
+            </div>
+          `).join('')}
+        </div>
+      `;
+}
+
+function renderMemberDetail() {
+    if (!viewingMemberId) return;
+
+    const member = members.find(m => m.id === viewingMemberId);
+    if (!member) {
+        showPage('members');
+        return;
+    }
+
+    document.getElementById('member-detail-title').textContent = member.name;
+    document.getElementById('member-detail-info').innerHTML = `
+        <div class="settlement-rates">
+          <span>📱 ${member.phone || 'N/A'}</span>
+          <span>📅 Joined ${formatShortDate(member.join_date)}</span>
+          ${hasLeft(member) ? `<span>🚪 Left ${formatShortDate(member.leave_date)}</span>` : ''}
+        </div>
+      `;
+
+    const monthKey = getSelectedMonthKey();
+    const ledger = getMemberLedger(member.id, monthKey);
+    document.getElementById('member-ledger-container').innerHTML = ledger.length === 0 ?
+        '<p class="form-hint">No activity yet.</p>' : `
+        <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th>Opening</th>
+                <th>Meals</th>
+                <th>Bill Share</th>
+                <th>Paid</th>
+                <th>Closing</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${ledger.map(row => `
+                <tr>
+                  <td>${formatMonthKey(row.month)}${row.closed ? ' 🔒' : ''}</td>
+                  <td>${formatBalance(row.opening_balance)}</td>
+                  <td>${formatMeals(row.meals)}</td>
+                  <td>${currencySymbol}${row.bill_share.toFixed(0).toLocaleString()}</td>
+                  <td>${currencySymbol}${row.paid.toLocaleString()}</td>
+                  <td style="color: ${row.closing_balance < 0 ? '#FF4D4F' : '#00C48C'}; font-weight: 600;">${formatBalance(row.closing_balance)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+
+    document.getElementById('member-meal-chart-title').textContent = `Daily Meals · ${formatMonthKey(monthKey)}`;
+    document.getElementById('member-meal-chart').innerHTML = renderMemberMealChart(member, monthKey);
+
+    const memberPayments = getMemberPayments(member.id, monthKey);
+    document.getElementById('member-payments-container').innerHTML = memberPayments.length === 0 ?
+        '<p class="form-hint">No payments recorded.</p>' : `
+        <div class="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Payment</th>
+                <th>Amount</th>
+                <th>Method</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${memberPayments.map(payment => `
+                <tr>
+                  <td>${formatShortDate(payment.date)}</td>
+                  <td>${describePaymentParties(payment)}</td>
+                  <td>${currencySymbol}${payment.amount.toLocaleString()}</td>
+                  <td>${payment.payment_method}</td>
+                  <td>${payment.note || '-'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+
+    const canEdit = canEditMemberMeals(member.id);
+    document.getElementById('meal-off-form').style.display = canEdit ? '' : 'none';
+
+    const schedules = mealOffs
+        .filter(o => o.member_id === member.id)
+        .sort((a, b) => b.from_date.localeCompare(a.from_date));
+
+    document.getElementById('meal-off-list').innerHTML = schedules.length === 0 ?
+        '<p class="form-hint">No meal off scheduled.</p>' :
+        schedules.map(o => `
+        <div class="settlement-transfer">
+          <span class="transfer-parties">${formatShortDate(o.from_date)}${o.to_date !== o.from_date ? ` – ${formatShortDate(o.to_date)}` : ''}</span>
+          <span>${(o.slots || mealSlots).length === mealSlots.length ? 'All meals' : (o.slots || []).map(slot => mealSlotLabels[slot]).join(', ')}</span>
+          <span class="form-hint">${o.note || ''}</span>
+          ${canEdit ? `<button class="btn btn-danger btn-sm" onclick="deleteMealOff('${o.__backendId}')">Remove</button>` : ''}
+        </div>
+      `).join('');
+}
+
+async function handleMealOffSubmit(e) {
+    e.preventDefault();
+
+    const member = members.find(m => m.id === viewingMemberId);
+    if (!member) return;
+
+    const fromDate = document.getElementById('meal-off-from').value;
+    const toDate = document.getElementById('meal-off-to').value;
+    const slots = Array.from(document.querySelectorAll('#meal-off-form .meal-off-slot:checked')).map(cb => cb.value);
+    const note = document.getElementById('meal-off-note').value.trim();
+
+    if (!fromDate || !toDate || fromDate > toDate) {
+        showToast('Choose a valid date range');
+        return;
+    }
+    if (slots.length === 0) {
+        showToast('Choose at least one meal');
+        return;
+    }
+    if (exceedsRecordLimit(getRecordCountAfter(1))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
+        return;
+    }
+
+    const schedule = {
+        type: 'meal_off',
+        id: Date.now().toString(),
+        member_id: member.id,
+        from_date: fromDate,
+        to_date: toDate,
+        slots: slots,
+        note: note
+    };
+
+    // Meals already entered inside the range are cleared in the same batch; closed months stay as they are
+    const updated = [];
+    const deleted = [];
+    mealEntries
+        .filter(m => m.member_id === member.id && m.meal_date >= fromDate && m.meal_date <= toDate && !isRecordLocked(m))
+        .forEach(entry => {
+            const cleared = applyMealOff(entry, slots);
+            if (isEmptyMealEntry(cleared)) deleted.push(entry);
+            else if (getMealUnits(cleared) !== getMealUnits(entry)) updated.push(cleared);
+        });
+
+    const result = await applyRecordBatch({ created: [schedule], updated, deleted });
+
+    if (result.isOk) {
+        showToast(`Meal off saved for ${member.name}`);
+        document.getElementById('meal-off-note').value = '';
+    } else {
+        showToast(result.error || 'Failed to save meal off');
+    }
+}
+
+window.deleteMealOff = function (backendId) {
+    const schedule = mealOffs.find(o => o.__backendId === backendId);
+    if (!schedule) return;
+
+    const confirmDiv = document.createElement('div');
+    confirmDiv.className = 'toast confirm-toast show';
+    confirmDiv.innerHTML = `
+        Remove this meal off? Meals it cleared are not restored.
+        <button class="btn btn-danger btn-sm" onclick="confirmDeleteMealOff('${backendId}')" style="margin-left: 12px;">Confirm</button>
+        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
+      `;
+    document.body.appendChild(confirmDiv);
+
+    setTimeout(() => {
+        if (confirmDiv.parentNode) confirmDiv.remove();
+    }, 5000);
+};
+
+window.confirmDeleteMealOff = async function (backendId) {
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
+
+    const schedule = mealOffs.find(o => o.__backendId === backendId);
+    if (!schedule) return;
+
+    const result = await deleteRecord(schedule);
+
+    if (result.isOk) {
+        showToast('Meal off removed');
+    } else {
+        showToast(result.error || 'Failed to remove meal off');
+    }
+};
+
+// Mobile menu functions
+function toggleMobileMenu() {
+    const sidebar = document.getElementById('sidebar');
+    const overlay = document.getElementById('sidebar-overlay');
+    const menuBtn = document.getElementById('mobile-menu-btn');
+
+    sidebar.classList.toggle('mobile-open');
+    overlay.classList.toggle('active');
+    menuBtn.classList.toggle('active');
+
+    if (menuBtn.classList.contains('active')) {
+        menuBtn.textContent = '✕';
+    } else {
+        menuBtn.textContent = '☰';
+    }
+}
+
+function closeMobileMenu() {
+    const sidebar = document.getElementById('sidebar');
+    const overlay = document.getElementById('sidebar-overlay');
+    const menuBtn = document.getElementById('mobile-menu-btn');
+
+    sidebar.classList.remove('mobile-open');
+    overlay.classList.remove('active');
+    menuBtn.classList.remove('active');
+    menuBtn.textContent = '☰';
+}
+
+// Event Listeners
+function setupEventListeners() {
+    // Mobile menu
+    const mobileMenuBtn = document.getElementById('mobile-menu-btn');
+    const sidebarOverlay = document.getElementById('sidebar-overlay');
+
+    mobileMenuBtn.addEventListener('click', toggleMobileMenu);
+    sidebarOverlay.addEventListener('click', closeMobileMenu);
+
+    // Navigation
+    const navItems = document.querySelectorAll('.nav-item');
+    const pages = document.querySelectorAll('.page');
+
+    navItems.forEach(item => {
+        item.addEventListener('click', () => {
+            showPage(item.getAttribute('data-page'));
+
+            // Close mobile menu on navigation
+            if (window.innerWidth <= 768) {
+                closeMobileMenu();
+            }
+        });
+    });
+
+    // Member Modal
+    const addMemberBtns = [
+        document.getElementById('add-member-btn'),
+        document.getElementById('add-member-dashboard')
+    ];
+
+    addMemberBtns.forEach(btn => {
+        if (btn) btn.addEventListener('click', openAddMemberModal);
+    });
+
+    document.getElementById('close-member-modal').addEventListener('click', closeAddMemberModal);
+    document.getElementById('cancel-member-btn').addEventListener('click', closeAddMemberModal);
+
+    const addMemberModal = document.getElementById('add-member-modal');
+    addMemberModal.addEventListener('click', (e) => {
+        if (e.target === addMemberModal) closeAddMemberModal();
+    });
+
+    // Bill Modal
+    const addBillBtns = [
+        document.getElementById('add-bill-btn-header'),
+        document.getElementById('add-bill-fab')
+    ];
+
+    addBillBtns.forEach(btn => {
+        if (btn) btn.addEventListener('click', openAddBillModal);
+    });
+
+    document.getElementById('close-bill-modal').addEventListener('click', closeAddBillModal);
+    document.getElementById('cancel-bill-btn').addEventListener('click', closeAddBillModal);
+
+    const addBillModal = document.getElementById('add-bill-modal');
+    addBillModal.addEventListener('click', (e) => {
+        if (e.target === addBillModal) closeAddBillModal();
+    });
+
+    document.getElementById('split-type').addEventListener('change', renderSplitInputs);
+    document.getElementById('split-unit').addEventListener('change', renderSplitInputs);
+    document.getElementById('bill-amount').addEventListener('input', () => {
+        updateSplitSummary();
+        updatePayerSummary();
+    });
+    document.getElementById('bill-paid-by').addEventListener('change', updatePayerInputs);
+    document.getElementById('payers-container').addEventListener('input', updatePayerSummary);
+    document.getElementById('split-members-container').addEventListener('input', updateSplitSummary);
+    document.getElementById('participants-container').addEventListener('change', renderSplitInputs);
+    document.getElementById('toggle-participants-btn').addEventListener('click', toggleAllParticipants);
+
+    // Payment Modal
+    const addPaymentBtns = [
+        document.getElementById('add-payment-btn-header'),
+        document.getElementById('add-payment-fab')
+    ];
+
+    addPaymentBtns.forEach(btn => {
+        if (btn) btn.addEventListener('click', openAddPaymentModal);
+    });
+
+    document.getElementById('close-payment-modal').addEventListener('click', closeAddPaymentModal);
+    document.getElementById('cancel-payment-btn').addEventListener('click', closeAddPaymentModal);
+
+    const addPaymentModal = document.getElementById('add-payment-modal');
+    addPaymentModal.addEventListener('click', (e) => {
+        if (e.target === addPaymentModal) closeAddPaymentModal();
+    });
+
+    // Forms
+    document.getElementById('add-member-form').addEventListener('submit', handleMemberSubmit);
+    document.getElementById('add-bill-form').addEventListener('submit', handleBillSubmit);
+    document.getElementById('add-payment-form').addEventListener('submit', handlePaymentSubmit);
+
+    // Month Navigation
+    document.getElementById('prev-month').addEventListener('click', () => {
+        setSelectedMonth(shiftMonthKey(getSelectedMonthKey(), -1));
+    });
+
+    document.getElementById('next-month').addEventListener('click', () => {
+        setSelectedMonth(shiftMonthKey(getSelectedMonthKey(), 1));
+    });
+
+    document.getElementById('dashboard-month-picker').addEventListener('change', (e) => {
+        if (e.target.value) setSelectedMonth(e.target.value);
+    });
+
+    document.getElementById('this-month-btn').addEventListener('click', () => {
+        setSelectedMonth(getCurrentMonthKey());
+    });
+
+    document.getElementById('analytics-range').addEventListener('change', (e) => {
+        analyticsRange = Number(e.target.value);
+        renderAnalytics();
+    });
+
+    window.addEventListener('popstate', () => {
+        setSelectedMonth(readMonthFromUrl() || getCurrentMonthKey(), false);
+    });
+
+    // Global Search
+    const globalSearch = document.getElementById('global-search');
+    globalSearch.addEventListener('input', (e) => {
+        searchQuery = e.target.value;
+        renderMembersTable();
+        renderHistory();
+    });
+
+    // Generate Report
+    document.getElementById('generate-report-btn').addEventListener('click', generatePDFReport);
+
+    // Member Detail
+    document.getElementById('member-detail-back').addEventListener('click', () => showPage('members'));
+    document.getElementById('member-statement-btn').addEventListener('click', () => generateMemberStatementPDF(viewingMemberId));
+    document.getElementById('meal-off-form').addEventListener('submit', handleMealOffSubmit);
+
+    // Recurring Bills
+    document.getElementById('templates-btn').addEventListener('click', openTemplatesModal);
+    document.getElementById('close-templates-modal').addEventListener('click', closeTemplatesModal);
+    document.getElementById('close-bill-review-modal').addEventListener('click', closeBillReviewModal);
+    document.getElementById('skip-bill-review-btn').addEventListener('click', closeBillReviewModal);
+
+    ['templates-modal', 'bill-review-modal'].forEach(id => {
+        const modal = document.getElementById(id);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.remove('active');
+        });
+    });
+
+    // Delete Member Modal
+    document.getElementById('close-delete-member-modal').addEventListener('click', closeDeleteMemberModal);
+    document.getElementById('cancel-delete-member-btn').addEventListener('click', closeDeleteMemberModal);
+    document.getElementById('delete-member-mode').addEventListener('change', updateDeleteMemberMode);
+
+    const deleteMemberModal = document.getElementById('delete-member-modal');
+    deleteMemberModal.addEventListener('click', (e) => {
+        if (e.target === deleteMemberModal) closeDeleteMemberModal();
+    });
+
+    // Cost Settings Modal
+    document.getElementById('cost-settings-btn').addEventListener('click', openCostSettingsModal);
+    document.getElementById('close-cost-settings-modal').addEventListener('click', closeCostSettingsModal);
+    document.getElementById('cancel-cost-settings-btn').addEventListener('click', closeCostSettingsModal);
+    document.getElementById('cost-settings-form').addEventListener('submit', handleCostSettingsSubmit);
+
+    const costSettingsModal = document.getElementById('cost-settings-modal');
+    costSettingsModal.addEventListener('click', (e) => {
+        if (e.target === costSettingsModal) closeCostSettingsModal();
+    });
+
+    // History
+    document.getElementById('history-type').addEventListener('change', renderHistory);
+    document.getElementById('history-action').addEventListener('change', renderHistory);
+
+    // Roles
+    document.getElementById('close-pin-modal').addEventListener('click', closePinModal);
+    document.getElementById('cancel-pin-btn').addEventListener('click', closePinModal);
+    document.getElementById('remove-pin-btn').addEventListener('click', removeManagerPin);
+    document.getElementById('pin-form').addEventListener('submit', handlePinSubmit);
+
+    // Houses
+    document.getElementById('house-select').addEventListener('change', (e) => switchHouse(e.target.value));
+    document.getElementById('add-house-btn').addEventListener('click', () => openHouseModal());
+    document.getElementById('rename-house-btn').addEventListener('click', () => openHouseModal(activeHouseId));
+    document.getElementById('close-house-modal').addEventListener('click', closeHouseModal);
+    document.getElementById('cancel-house-btn').addEventListener('click', closeHouseModal);
+    document.getElementById('house-form').addEventListener('submit', handleHouseSubmit);
+
+    // Backup
+    document.getElementById('export-backup-btn').addEventListener('click', exportBackup);
+    document.getElementById('sync-connect-btn').addEventListener('click', toggleSyncConnection);
+    document.getElementById('sync-now-btn').addEventListener('click', () => RemoteSync.sync());
+    document.getElementById('import-backup-file').addEventListener('change', handleBackupFileSelected);
+    document.getElementById('import-mode').addEventListener('change', renderImportPreview);
+
+    // CSV
+    document.getElementById('csv-import-file').addEventListener('change', handleCsvFileSelected);
+    document.getElementById('csv-import-type').addEventListener('change', renderCsvImportPreview);
+
+    // Meal Calendar
+    const mealsGridContainer = document.getElementById('meals-grid-container');
+    mealsGridContainer.addEventListener('change', handleCalendarInput);
+    mealsGridContainer.addEventListener('keydown', handleCalendarKeydown);
+    mealsGridContainer.addEventListener('focusin', (e) => {
+        if (e.target.classList.contains('calendar-input')) e.target.select();
+    });
+
+    // Meal Date Picker
+    const mealDatePicker = document.getElementById('meal-date-picker');
+    mealDatePicker.addEventListener('change', (e) => {
+        selectedMealDate = e.target.value;
+        renderMealsGrid();
+    });
+}
+
+// The add modals double as edit modals
+const recordModalLabels = {
+    member: { addTitle: 'Add New Member', addText: '✓ Add Member', editTitle: 'Edit Member' },
+    bill: { addTitle: 'Add New Bill', addText: '✓ Add Bill', editTitle: 'Edit Bill' },
+    payment: { addTitle: 'Add Payment', addText: '✓ Add Payment', editTitle: 'Edit Payment' }
+};
+
+function setRecordModalMode(type, isEditing) {
+    const labels = recordModalLabels[type];
+    document.getElementById(`${type}-modal-title`).textContent = isEditing ? labels.editTitle : labels.addTitle;
+    document.getElementById(`save-${type}-text`).innerHTML = isEditing ? '✓ Save Changes' : labels.addText;
+}
+
+function openAddMemberModal() {
+    const addMemberModal = document.getElementById('add-member-modal');
+    addMemberModal.classList.add('active');
+    document.getElementById('join-date').valueAsDate = new Date();
+}
+
+function openEditMemberModal(backendId) {
+    const member = members.find(m => m.__backendId === backendId);
+    if (!member) return;
+
+    openAddMemberModal();
+    editingMemberId = backendId;
+    setRecordModalMode('member', true);
+
+    document.getElementById('member-name').value = member.name;
+    document.getElementById('member-phone').value = member.phone || '';
+    document.getElementById('join-date').value = member.join_date;
+    document.getElementById('leave-date').value = member.leave_date || '';
+}
+
+window.openEditMemberModal = openEditMemberModal;
+
+function closeAddMemberModal() {
+    const addMemberModal = document.getElementById('add-member-modal');
+    addMemberModal.classList.remove('active');
+    document.getElementById('add-member-form').reset();
+    editingMemberId = null;
+    setRecordModalMode('member', false);
+}
+
+async function handleMemberSubmit(e) {
+    e.preventDefault();
+
+    if (exceedsRecordLimit(getRecordCountAfter(editingMemberId ? 0 : 1, 1))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
+        return;
+    }
+
+    const submitBtn = document.getElementById('save-member-btn');
+    const submitText = document.getElementById('save-member-text');
+
+    submitBtn.disabled = true;
+    submitText.innerHTML = `<span class="loading-spinner"></span> ${editingMemberId ? 'Saving...' : 'Adding...'}`;
+
+    const name = document.getElementById('member-name').value;
+    const phone = document.getElementById('member-phone').value;
+    const joinDate = document.getElementById('join-date').value;
+    const leaveDate = document.getElementById('leave-date').value || null;
+
+    if (leaveDate && leaveDate < joinDate) {
+        showToast('Leave date cannot be before the join date');
+        submitBtn.disabled = false;
+        setRecordModalMode('member', !!editingMemberId);
+        return;
+    }
+
+    const memberFields = {
+        name: name,
+        phone: phone,
+        join_date: joinDate,
+        leave_date: leaveDate
+    };
+
+    const existing = editingMemberId && members.find(m => m.__backendId === editingMemberId);
+    const result = existing ?
+        await updateRecord({ ...existing, ...memberFields }) :
+        await createRecord({ type: 'member', id: Date.now().toString(), ...memberFields });
+
+    if (result.isOk) {
+        showToast(existing ? `Member "${name}" updated successfully!` : `Member "${name}" added successfully!`);
+        closeAddMemberModal();
+    } else {
+        showToast(result.error || (existing ? 'Failed to update member. Please try again.' : 'Failed to add member. Please try again.'));
+    }
+
+    submitBtn.disabled = false;
+    setRecordModalMode('member', !!editingMemberId);
+}
+
+function markMemberLeft(backendId) {
+    const member = members.find(m => m.__backendId === backendId);
+    if (!member) return;
+
+    const confirmDiv = document.createElement('div');
+    confirmDiv.className = 'toast confirm-toast show';
+    confirmDiv.innerHTML = `
+        ${member.name} left on
+        <input type="date" id="leave-date-input" class="form-control" value="${toDateKey(new Date())}" min="${member.join_date}" style="display: inline-block; width: auto; padding: 4px 8px; margin-left: 8px;">
+        <button class="btn btn-danger btn-sm" onclick="confirmMarkMemberLeft('${backendId}')" style="margin-left: 12px;">Confirm</button>
+        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
+      `;
+    document.body.appendChild(confirmDiv);
+}
+
+window.markMemberLeft = markMemberLeft;
+
+window.confirmMarkMemberLeft = async function (backendId) {
+    const leaveDate = document.getElementById('leave-date-input').value;
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
+
+    const member = members.find(m => m.__backendId === backendId);
+    if (!member || !leaveDate) return;
+
+    if (leaveDate < member.join_date) {
+        showToast('Leave date cannot be before the join date');
+        return;
+    }
+
+    const result = await updateRecord({ ...member, leave_date: leaveDate });
+
+    if (result.isOk) {
+        showToast(`${member.name} marked as left on ${formatShortDate(leaveDate)}`);
+    } else {
+        showToast(result.error || 'Failed to update member');
+    }
+};
+
+window.rejoinMember = async function (backendId) {
+    const member = members.find(m => m.__backendId === backendId);
+    if (!member) return;
+
+    const result = await updateRecord({ ...member, leave_date: null });
+
+    if (result.isOk) {
+        showToast(`${member.name} is an active member again`);
+    } else {
+        showToast(result.error || 'Failed to update member');
+    }
+};
+
+// Records that mention a member, split into what a delete would have to touch
+function getMemberRecords(memberId) {
+    return {
+        payments: payments.filter(p => p.member_id === memberId || p.paid_to === memberId),
+        meals: mealEntries.filter(m => m.member_id === memberId),
+        mealOffs: mealOffs.filter(o => o.member_id === memberId),
+        bills: bills.filter(b => isBillMember(b, memberId))
+    };
+}
+
+// Bills charged to nobody but this member; deleting their records would leave no one to pay them
+function getSoleParticipantBills(memberId) {
+    return bills.filter(b => {
+        const participantIds = getBillParticipants(b);
+        return participantIds.length > 0 && participantIds.every(id => id === memberId);
+    });
+}
+
+function describeSoleParticipantBills(member, soleBills) {
+    return `${member.name} is the only participant of ${soleBills.map(b => b.title).join(', ')}. Move their records to another member instead.`;
+}
+
+function deleteMember(backendId) {
+    const member = members.find(m => m.__backendId === backendId);
+    if (!member) return;
+
+    deletingMemberId = backendId;
+    const records = getMemberRecords(member.id);
+    const lockedCount = [...records.payments, ...records.meals, ...records.bills].filter(isRecordLocked).length;
+    const hasRecords = records.payments.length + records.meals.length + records.bills.length > 0;
+
+    document.getElementById('delete-member-title').textContent = `Delete ${member.name}?`;
+    document.getElementById('delete-member-summary').innerHTML = hasRecords ?
+        `${member.name} has <strong>${records.payments.length}</strong> payments, <strong>${records.meals.length}</strong> meal entries and shares <strong>${records.bills.length}</strong> bills.
+         To keep their history in past months, mark them as left instead.` :
+        `${member.name} has no payments, meals or bill shares.`;
+    document.getElementById('delete-member-locked').innerHTML = lockedCount > 0 ?
+        `<div class="locked-notice">🔒 ${lockedCount} of these records are in closed months. Reopen those months or mark ${member.name} as left instead.</div>` : '';
+    const soleBills = getSoleParticipantBills(member.id);
+    if (soleBills.length > 0) {
+        document.getElementById('delete-member-locked').innerHTML += `<div class="locked-notice">${describeSoleParticipantBills(member, soleBills)}</div>`;
+    }
+
+    document.getElementById('delete-member-options').style.display = hasRecords ? 'block' : 'none';
+    document.getElementById('delete-member-mode').value = 'cascade';
+    document.getElementById('reassign-member').innerHTML = members
+        .filter(m => m.id !== member.id)
+        .map(m => `<option value="${m.id}">${m.name}${hasLeft(m) ? ' (left)' : ''}</option>`)
+        .join('');
+    document.getElementById('confirm-delete-member-btn').disabled = lockedCount > 0;
+    updateDeleteMemberMode();
+
+    document.getElementById('delete-member-modal').classList.add('active');
+}
+
+function updateDeleteMemberMode() {
+    const mode = document.getElementById('delete-member-mode').value;
+    document.getElementById('reassign-member-group').style.display = mode === 'reassign' ? 'block' : 'none';
+}
+
+function closeDeleteMemberModal() {
+    document.getElementById('delete-member-modal').classList.remove('active');
+    deletingMemberId = null;
+}
+
+// Cascade removes the member's records; reassign moves them onto another member, merging same-day meals
+function buildMemberDeletePlan(member, mode, targetId) {
+    const records = getMemberRecords(member.id);
+    // Meal off schedules only describe the deleted member, so they go either way
+    const plan = { created: [], updated: [], deleted: [member, ...records.mealOffs] };
+
+    if (mode === 'cascade') {
+        plan.deleted.push(...records.payments, ...records.meals);
+    } else {
+        records.payments.forEach(p => plan.updated.push({
+            ...p,
+            member_id: p.member_id === member.id ? targetId : p.member_id,
+            paid_to: p.paid_to === member.id ? targetId : p.paid_to
+        }));
+        records.meals.forEach(meal => {
+            const targetMeal = mealEntries.find(m => m.member_id === targetId && m.meal_date === meal.meal_date);
+            if (targetMeal) {
+                const mergedMeal = { ...targetMeal };
+                mealFields.forEach(f => {
+                    mergedMeal[f] = (targetMeal[f] || 0) + (meal[f] || 0);
+                });
+                // A slot both members took becomes one extra meal so nothing is lost
+                mealSlots.forEach(slot => {
+                    const targetTook = !!(targetMeal.slots && targetMeal.slots[slot]);
+                    const memberTook = !!(meal.slots && meal.slots[slot]);
+                    if (targetTook && memberTook) {
+                        mergedMeal.meal_count += getHouseSettings().slot_weights[slot];
+                    }
+                    mergedMeal.slots = { ...(mergedMeal.slots || {}), [slot]: targetTook || memberTook };
+                });
+                plan.updated.push(mergedMeal);
+                plan.deleted.push(meal);
+            } else {
+                plan.updated.push({ ...meal, member_id: targetId });
+            }
+        });
+    }
+
+    records.bills.forEach(bill => {
+        const updatedBill = { ...bill };
+
+        if (Array.isArray(bill.participants)) {
+            updatedBill.participants = bill.participants.filter(id => id !== member.id);
+            if (mode === 'reassign' && !updatedBill.participants.includes(targetId)) updatedBill.participants.push(targetId);
+        }
+
+        ['split_values', 'paid_by'].forEach(field => {
+            if (!bill[field]) return;
+            const { [member.id]: removedValue, ...remainingValues } = bill[field];
+            if (mode === 'reassign' && removedValue) {
+                remainingValues[targetId] = (remainingValues[targetId] || 0) + removedValue;
+            }
+            updatedBill[field] = field === 'paid_by' && Object.keys(remainingValues).length === 0 ? null : remainingValues;
+        });
+
+        plan.updated.push(updatedBill);
+    });
+
+    return plan;
+}
+
+window.confirmDeleteMember = async function () {
+    const member = members.find(m => m.__backendId === deletingMemberId);
+    if (!member) return;
+
+    const mode = document.getElementById('delete-member-mode').value;
+    const targetId = document.getElementById('reassign-member').value;
+
+    if (mode === 'reassign' && !targetId) {
+        showToast('Choose a member to take over the records');
+        return;
+    }
+
+    const soleBills = mode === 'cascade' ? getSoleParticipantBills(member.id) : [];
+    if (soleBills.length > 0) {
+        showToast(describeSoleParticipantBills(member, soleBills));
+        return;
+    }
+
+    const result = await applyRecordBatch(buildMemberDeletePlan(member, mode, targetId));
+
+    if (result.isOk) {
+        const target = members.find(m => m.id === targetId);
+        showToast(mode === 'reassign' && target ?
+            `${member.name} deleted; records moved to ${target.name}` :
+            `${member.name} and their records deleted`, result.batchId);
+        closeDeleteMemberModal();
+    } else {
+        showToast(result.error || 'Failed to delete member');
+    }
+};
+
+function openAddBillModal() {
+    const addBillModal = document.getElementById('add-bill-modal');
+    addBillModal.classList.add('active');
+    document.getElementById('bill-date').valueAsDate = new Date();
+    document.getElementById('bill-recurring-group').style.display = 'block';
+    renderParticipantPicker();
+    renderSplitInputs();
+    renderPayerPicker();
+}
+
+function openEditBillModal(backendId) {
+    const bill = bills.find(b => b.__backendId === backendId);
+    if (!bill) return;
+
+    openAddBillModal();
+    editingBillId = backendId;
+    setRecordModalMode('bill', true);
+
+    document.getElementById('bill-title').value = bill.title;
+    document.getElementById('bill-type').value = bill.bill_type;
+    document.getElementById('bill-amount').value = bill.amount;
+    document.getElementById('bill-date').value = bill.date;
+    document.getElementById('split-type').value = bill.split_type;
+    document.getElementById('split-unit').value = bill.split_unit || 'amount';
+
+    renderParticipantPicker(getBillParticipants(bill));
+    renderSplitInputs();
+    renderPayerPicker(bill.paid_by);
+    // Bills that already came from a template can't start another one
+    document.getElementById('bill-recurring-group').style.display = bill.template_id ? 'none' : 'block';
+    document.querySelectorAll('#split-members-container .split-input').forEach(input => {
+        const value = bill.split_values && bill.split_values[input.dataset.memberId];
+        input.value = value || '';
+    });
+    updateSplitSummary();
+}
+
+window.openEditBillModal = openEditBillModal;
+
+function closeAddBillModal() {
+    const addBillModal = document.getElementById('add-bill-modal');
+    addBillModal.classList.remove('active');
+    document.getElementById('add-bill-form').reset();
+    document.getElementById('split-members-container').innerHTML = '';
+    document.getElementById('participants-container').innerHTML = '';
+    editingBillId = null;
+    setRecordModalMode('bill', false);
+    renderSplitInputs();
+}
+
+// Recurring bills
+// A bill_template repeats a bill on day_of_month from start_month on; generated bills keep
+// template_id so each month gets at most one bill per template
+function createTemplateFromBill(billFields) {
+    return {
+        type: 'bill_template',
+        id: 'tpl_' + Date.now(),
+        title: billFields.title,
+        bill_type: billFields.bill_type,
+        amount: billFields.amount,
+        day_of_month: new Date(billFields.date + 'T00:00:00').getDate(),
+        start_month: getMonthKey(billFields.date),
+        split_type: billFields.split_type,
+        split_unit: billFields.split_unit,
+        split_values: billFields.split_values,
+        participants: billFields.participants,
+        paid_by: billFields.paid_by
+    };
+}
+
+function getTemplateDate(template, monthKey) {
+    const day = Math.min(template.day_of_month, getDaysInMonth(monthKey));
+    return `${monthKey}-${String(day).padStart(2, '0')}`;
+}
+
+function getPendingTemplates(monthKey = getSelectedMonthKey()) {
+    if (getMonthClose(monthKey)) return [];
+
+    return billTemplates.filter(t =>
+        monthKey >= t.start_month &&
+        !bills.some(b => b.template_id === t.id && getMonthKey(b.date) === monthKey)
+    );
+}
+
+// Members who have left are dropped; fixed-amount splits and what payers paid are rescaled to the reviewed amount
+function templateToBill(template, monthKey, amount, idSuffix = '') {
+    const activeIds = members.filter(m => isMemberActiveInMonth(m, monthKey)).map(m => m.id);
+    const participants = Array.isArray(template.participants) ?
+        template.participants.filter(id => activeIds.includes(id)) :
+        activeIds;
+
+    let splitValues = null;
+    if (template.split_values) {
+        splitValues = {};
+        Object.entries(template.split_values)
+            .filter(([id]) => participants.includes(id))
+            .forEach(([id, value]) => { splitValues[id] = value; });
+
+        const total = Object.values(splitValues).reduce((sum, v) => sum + v, 0);
+        if (template.split_unit === 'amount' && total > 0) {
+            Object.keys(splitValues).forEach(id => {
+                splitValues[id] = Math.round(splitValues[id] * amount / total * 100) / 100;
+            });
+        }
+    }
+
+    let paidBy = null;
+    if (template.paid_by) {
+        paidBy = {};
+        Object.entries(template.paid_by)
+            .filter(([id]) => activeIds.includes(id))
+            .forEach(([id, value]) => {
+                paidBy[id] = template.amount > 0 ? Math.round(value * amount / template.amount * 100) / 100 : value;
+            });
+        if (Object.keys(paidBy).length === 0) paidBy = null;
+    }
+
+    return {
+        type: 'bill',
+        id: Date.now().toString() + idSuffix,
+        title: template.title,
+        bill_type: template.bill_type,
+        amount: amount,
+        date: getTemplateDate(template, monthKey),
+        split_type: template.split_type,
+        split_unit: template.split_unit,
+        split_values: splitValues,
+        participants: participants,
+        paid_by: paidBy,
+        template_id: template.id
+    };
+}
+
+function renderRecurringBanner() {
+    const container = document.getElementById('recurring-banner');
+    const pending = getPendingTemplates();
+
+    container.innerHTML = pending.length > 0 ? `
+        <div class="locked-notice recurring-banner">
+          🔁 ${pending.length} recurring bill${pending.length === 1 ? ' is' : 's are'} ready for ${formatMonthKey(getSelectedMonthKey())}
+          <button class="btn btn-primary btn-sm manager-only" onclick="openBillReviewModal()">Review</button>
+        </div>
+      ` : '';
+}
+
+// Opens the review once per session for the current and later months. It runs when the manager
+// opens the app, moves to a month or opens the Bills page, never on a re-render after a sync or save.
+function promptRecurringBills() {
+    const monthKey = getSelectedMonthKey();
+    if (reviewedTemplateMonths.has(monthKey) || monthKey < getCurrentMonthKey() || !canManage()) return;
+    if (getPendingTemplates(monthKey).length === 0) return;
+
+    reviewedTemplateMonths.add(monthKey);
+    openBillReviewModal();
+}
+
+function openBillReviewModal() {
+    const monthKey = getSelectedMonthKey();
+    const pending = getPendingTemplates(monthKey);
+    if (pending.length === 0) return;
+
+    reviewingTemplateMonth = monthKey;
+    document.getElementById('bill-review-title').textContent = `Recurring Bills for ${formatMonthKey(monthKey)}`;
+    document.getElementById('bill-review-list').innerHTML = pending.map(t => `
+        <div class="split-row review-row">
+          <label class="participant-option">
+            <input type="checkbox" class="review-include" data-template-id="${t.id}" checked>
+            <span>${t.title} <small>· ${billTypeLabels[t.bill_type] || t.bill_type} · ${formatShortDate(getTemplateDate(t, monthKey))}</small></span>
+          </label>
+          <input type="number" class="form-control split-input review-amount" data-template-id="${t.id}" min="0" step="any" value="${t.amount}">
+        </div>
+      `).join('');
+
+    document.getElementById('bill-review-modal').classList.add('active');
+}
+
+window.openBillReviewModal = openBillReviewModal;
+
+function closeBillReviewModal() {
+    document.getElementById('bill-review-modal').classList.remove('active');
+    reviewingTemplateMonth = null;
+}
+
+window.confirmBillReview = async function () {
+    const monthKey = reviewingTemplateMonth;
+    if (!monthKey) return;
+
+    const created = [];
+    for (const checkbox of document.querySelectorAll('#bill-review-list .review-include:checked')) {
+        const template = billTemplates.find(t => t.id === checkbox.dataset.templateId);
+        if (!template) continue;
+
+        const amount = parseFloat(document.querySelector(`#bill-review-list .review-amount[data-template-id="${template.id}"]`).value);
+        if (!(amount > 0)) {
+            showToast(`Enter an amount for "${template.title}"`);
+            return;
+        }
+
+        const bill = templateToBill(template, monthKey, amount, `_${created.length}`);
+        const billError = bill.participants.length === 0 ?
+            'no current participants' :
+            validateSplit(bill.split_type, bill.split_unit, bill.split_values, amount) || validatePaidBy(bill.paid_by, amount);
+        if (billError) {
+            showToast(`"${template.title}": ${billError}. Add it from the Add Bill form instead.`);
+            return;
+        }
+
+        created.push(bill);
+    }
+
+    if (created.length === 0) {
+        closeBillReviewModal();
+        return;
+    }
+
+    if (exceedsRecordLimit(getRecordCountAfter(created.length))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
+        return;
+    }
+
+    const result = await applyRecordBatch({ created });
+
+    if (result.isOk) {
+        showToast(`Added ${created.length} recurring bill${created.length === 1 ? '' : 's'} for ${formatMonthKey(monthKey)}`);
+        closeBillReviewModal();
+    } else {
+        showToast(result.error || 'Failed to add recurring bills');
+    }
+};
+
+function openTemplatesModal() {
+    const container = document.getElementById('template-list');
+
+    container.innerHTML = billTemplates.length === 0 ?
+        '<p class="form-hint">No recurring bills yet. Tick "Repeat every month" when adding a bill.</p>' :
+        billTemplates.map(t => `
+        <div class="template-row">
+          <div class="template-info">
+            <strong>${t.title}</strong>
+            <small>${billTypeLabels[t.bill_type] || t.bill_type} · ${t.split_type === 'equal' ? 'Equal' : t.split_type === 'custom' ? 'Custom' : 'Weight-based'} split · since ${formatMonthKey(t.start_month)}</small>
+          </div>
+          <label class="template-field">Day <input type="number" class="form-control template-day" data-template-id="${t.id}" min="1" max="31" value="${t.day_of_month}"></label>
+          <label class="template-field">${currencySymbol} <input type="number" class="form-control template-amount" data-template-id="${t.id}" min="0" step="any" value="${t.amount}"></label>
+          <button type="button" class="btn btn-outline btn-sm" onclick="saveTemplate('${t.__backendId}')">Save</button>
+          <button type="button" class="btn btn-danger btn-sm" onclick="deleteTemplate('${t.__backendId}')">Stop</button>
+        </div>
+      `).join('');
+
+    document.getElementById('templates-modal').classList.add('active');
+}
+
+function closeTemplatesModal() {
+    document.getElementById('templates-modal').classList.remove('active');
+}
+
+window.saveTemplate = async function (backendId) {
+    const template = billTemplates.find(t => t.__backendId === backendId);
+    if (!template) return;
+
+    const day = parseInt(document.querySelector(`.template-day[data-template-id="${template.id}"]`).value);
+    const amount = parseFloat(document.querySelector(`.template-amount[data-template-id="${template.id}"]`).value);
+
+    if (!(day >= 1 && day <= 31) || !(amount > 0)) {
+        showToast('Enter a day between 1 and 31 and an amount above 0');
+        return;
+    }
+
+    const result = await updateRecord({ ...template, day_of_month: day, amount: amount });
+
+    if (result.isOk) {
+        showToast(`"${template.title}" updated`);
+        openTemplatesModal();
+    } else {
+        showToast(result.error || 'Failed to update recurring bill');
+    }
+};
+
+window.deleteTemplate = function (backendId) {
+    const template = billTemplates.find(t => t.__backendId === backendId);
+    if (!template) return;
+
+    const confirmDiv = document.createElement('div');
+    confirmDiv.className = 'toast confirm-toast show';
+    confirmDiv.innerHTML = `
+        Stop repeating "${template.title}"? Bills already added stay.
+        <button class="btn btn-danger btn-sm" onclick="confirmDeleteTemplate('${backendId}')" style="margin-left: 12px;">Confirm</button>
+        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
+      `;
+    document.body.appendChild(confirmDiv);
+
+    setTimeout(() => {
+        if (confirmDiv.parentNode) confirmDiv.remove();
+    }, 5000);
+};
+
+window.confirmDeleteTemplate = async function (backendId) {
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
+
+    const template = billTemplates.find(t => t.__backendId === backendId);
+    if (!template) return;
+
+    const result = await deleteRecord(template);
+
+    if (result.isOk) {
+        showToast(`"${template.title}" will no longer repeat`);
+        openTemplatesModal();
+    } else {
+        showToast(result.error || 'Failed to stop recurring bill');
+    }
+};
+
+// Former members are only offered when the bill already includes them
+function renderParticipantPicker(selectedIds = null) {
+    const container = document.getElementById('participants-container');
+    const monthKey = getMonthKey(document.getElementById('bill-date').value || toDateKey(new Date()));
+    const available = members.filter(m => isMemberActiveInMonth(m, monthKey) || (selectedIds || []).includes(m.id));
+    const checkedIds = selectedIds || available.map(m => m.id);
+
+    container.innerHTML = available.map(m => `
+        <label class="participant-option">
+          <input type="checkbox" class="participant-checkbox" value="${m.id}" ${checkedIds.includes(m.id) ? 'checked' : ''}>
+          <span>${m.name}</span>
+        </label>
+      `).join('');
+}
+
+function readSelectedParticipants() {
+    return Array.from(document.querySelectorAll('#participants-container .participant-checkbox:checked')).map(cb => cb.value);
+}
+
+function toggleAllParticipants() {
+    const checkboxes = document.querySelectorAll('#participants-container .participant-checkbox');
+    const allChecked = Array.from(checkboxes).every(cb => cb.checked);
+    checkboxes.forEach(cb => { cb.checked = !allChecked; });
+    renderSplitInputs();
+}
+
+// Like participants, payers are members living there in the bill's month plus anyone already paying
+function renderPayerPicker(paidBy = null) {
+    const select = document.getElementById('bill-paid-by');
+    const payerIds = Object.keys(paidBy || {});
+    const monthKey = getMonthKey(document.getElementById('bill-date').value || toDateKey(new Date()));
+    const available = members.filter(m => isMemberActiveInMonth(m, monthKey) || payerIds.includes(m.id));
+    const singlePayer = payerIds.length === 1 && Math.abs(paidBy[payerIds[0]] - parseFloat(document.getElementById('bill-amount').value)) < 0.01;
+
+    select.innerHTML = '<option value="">House fund (manager)</option>' +
+        available.map(m => `<option value="${m.id}">${m.name}</option>`).join('') +
+        '<option value="multiple">Several members / part of the bill</option>';
+    select.value = payerIds.length === 0 ? '' : singlePayer ? payerIds[0] : 'multiple';
+
+    document.getElementById('payers-container').innerHTML = available.map(m => `
+        <div class="split-row">
+          <span class="split-member-name">${m.name}</span>
+          <input type="number" class="form-control payer-input" data-member-id="${m.id}" min="0" step="any"
+            placeholder="${currencySymbol}" value="${(paidBy && paidBy[m.id]) || ''}">
+        </div>
+      `).join('');
 
-    container.innerHTML = cardsHTML;
+    updatePayerInputs();
 }
 
-function renderPayments() {
-    const container = document.getElementById('payments-container');
+function updatePayerInputs() {
+    const multiple = document.getElementById('bill-paid-by').value === 'multiple';
+    document.getElementById('payers-details').style.display = multiple ? 'block' : 'none';
+    updatePayerSummary();
+}
 
-    if (payments.length === 0) {
-        container.innerHTML = `
-          <div class="card">
-            <div class="empty-state">
-              <div class="empty-icon">💳</div>
-              <div class="empty-title">No Payments Recorded</div>
-              <div class="empty-text">Add your first payment to start tracking</div>
-              <button class="btn btn-primary" onclick="openAddPaymentModal()">+ Add Payment</button>
-            </div>
-          </div>
-        `;
+function readPaidBy(amount) {
+    const payer = document.getElementById('bill-paid-by').value;
+    if (!payer) return null;
+    if (payer !== 'multiple') return { [payer]: amount };
+
+    const values = {};
+    document.querySelectorAll('#payers-container .payer-input').forEach(input => {
+        const value = parseFloat(input.value);
+        if (value > 0) values[input.dataset.memberId] = value;
+    });
+    return values;
+}
+
+function updatePayerSummary() {
+    const amount = parseFloat(document.getElementById('bill-amount').value) || 0;
+    const total = Object.values(readPaidBy(amount) || {}).reduce((sum, v) => sum + v, 0);
+    const fundAmount = Math.max(0, amount - total);
+
+    document.getElementById('payers-summary').textContent =
+        `Paid by members: ${currencySymbol}${total.toLocaleString()} of ${currencySymbol}${amount.toLocaleString()}` +
+        (fundAmount > 0 ? ` (${currencySymbol}${fundAmount.toLocaleString()} from the house fund)` : '');
+}
+
+function renderSplitInputs() {
+    const splitType = document.getElementById('split-type').value;
+    const splitUnit = document.getElementById('split-unit').value;
+    const group = document.getElementById('split-details-group');
+    const container = document.getElementById('split-members-container');
+
+    if (splitType === 'equal') {
+        group.style.display = 'none';
         return;
     }
 
-    const tableHTML = `
-        <div class="card">
-          <div class="table-wrapper">
-            <table>
-              <thead>
-                <tr>
-                  <th>Date</th>
-                  <th>Member</th>
-                  <th>Amount</th>
-                  <th>Method</th>
-                  <th>Note</th>
-                  <th>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${payments.map(payment => {
-        const member = members.find(m => m.id === payment.member_id);
-        const memberName = member ? member.name : 'Unknown';
+    group.style.display = 'block';
+    document.getElementById('split-unit').style.display = splitType === 'custom' ? 'block' : 'none';
+    document.getElementById('split-details-label').textContent = splitType === 'custom' ? 'Per-member Shares *' : 'Per-member Weights *';
 
-        return `
-                    <tr>
-                      <td>${new Date(payment.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
-                      <td>${memberName}</td>
-                      <td>৳${payment.amount.toLocaleString()}</td>
-                      <td>${payment.payment_method}</td>
-                      <td>${payment.note || '-'}</td>
-                      <td>
-                        <button class="btn btn-danger btn-sm" onclick="deletePayment('${payment.__backendId}')">Delete</button>
-                      </td>
-                    </tr>
-                  `;
-    }).join('')}
-              </tbody>
-            </table>
-          </div>
+    // Keep values already typed in when switching split type or unit
+    const previousValues = readSplitValues();
+    const placeholder = splitType === 'weight' ? 'Weight' : splitUnit === 'percent' ? '%' : currencySymbol;
+    const participantIds = readSelectedParticipants();
+
+    container.innerHTML = members.filter(m => participantIds.includes(m.id)).map(m => `
+        <div class="split-row">
+          <span class="split-member-name">${m.name}</span>
+          <input type="number" class="form-control split-input" data-member-id="${m.id}" min="0" step="any"
+            placeholder="${placeholder}" value="${previousValues[m.id] || ''}">
         </div>
-      `;
+      `).join('');
 
-    container.innerHTML = tableHTML;
+    updateSplitSummary();
 }
 
-let selectedMealDate = new Date().toISOString().split('T')[0];
+function readSplitValues() {
+    const values = {};
+    document.querySelectorAll('#split-members-container .split-input').forEach(input => {
+        const value = parseFloat(input.value);
+        if (value > 0) values[input.dataset.memberId] = value;
+    });
+    return values;
+}
 
-function renderMealsGrid() {
-    const container = document.getElementById('meals-grid-container');
-    const titleElement = document.getElementById('meals-card-title');
+function updateSplitSummary() {
+    const splitType = document.getElementById('split-type').value;
+    const splitUnit = document.getElementById('split-unit').value;
+    const summary = document.getElementById('split-summary');
+    const amount = parseFloat(document.getElementById('bill-amount').value) || 0;
+    const total = Object.values(readSplitValues()).reduce((sum, v) => sum + v, 0);
+
+    if (splitType === 'weight') {
+        summary.textContent = `Total weight: ${total}`;
+    } else if (splitUnit === 'percent') {
+        summary.textContent = `Allocated: ${total.toFixed(2)}% of 100%`;
+    } else {
+        summary.textContent = `Allocated: ${currencySymbol}${total.toLocaleString()} of ${currencySymbol}${amount.toLocaleString()}`;
+    }
+}
 
-    if (members.length === 0) {
-        container.innerHTML = `
-          <div class="empty-state">
-            <div class="empty-icon">🍽️</div>
-            <div class="empty-title">No Members Yet</div>
-            <div class="empty-text">Add members first to track daily meals</div>
-          </div>
-        `;
+async function handleBillSubmit(e) {
+    e.preventDefault();
+
+    if (exceedsRecordLimit(getRecordCountAfter(editingBillId ? 0 : 1, 1))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
         return;
     }
 
-    const dateObj = new Date(selectedMealDate + 'T00:00:00');
-    const formattedDate = dateObj.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-    titleElement.textContent = `Daily Meals - ${formattedDate}`;
+    const submitBtn = document.getElementById('save-bill-btn');
+    const submitText = document.getElementById('save-bill-text');
 
-    const memberObjects = members.map(m => new Member(m));
+    submitBtn.disabled = true;
+    submitText.innerHTML = `<span class="loading-spinner"></span> ${editingBillId ? 'Saving...' : 'Adding...'}`;
 
-    const cardsHTML = `
-        <div class="meals-grid">
-          ${memberObjects.map((memberObj, index) => {
-        const member = members[index];
-        const dayCount = memberObj.getMealCountForDate(selectedMealDate);
-        const monthlyTotal = memberObj.getMonthlyMealTotal();
+    const title = document.getElementById('bill-title').value;
+    const billType = document.getElementById('bill-type').value;
+    const amount = parseFloat(document.getElementById('bill-amount').value);
+    const date = document.getElementById('bill-date').value;
+    const splitType = document.getElementById('split-type').value;
+    const splitUnit = splitType === 'custom' ? document.getElementById('split-unit').value : null;
+    const splitValues = splitType === 'equal' ? null : readSplitValues();
+    const participants = readSelectedParticipants();
+    const paidBy = readPaidBy(amount);
+
+    const splitError = participants.length === 0 ?
+        'Select at least one participant' :
+        validateSplit(splitType, splitUnit, splitValues, amount) || validatePaidBy(paidBy, amount);
+    if (splitError) {
+        showToast(splitError);
+        submitBtn.disabled = false;
+        setRecordModalMode('bill', !!editingBillId);
+        return;
+    }
 
-        return `
-              <div class="meal-card">
-                <div class="meal-member-name">${member.name}</div>
-                <div class="meal-counter">
-                  <input type="number" class="meal-input" value="${dayCount}" min="0" 
-                    onchange="updateMealCountDirect('${member.id}', this.value)"
-                    onclick="this.select()">
-                </div>
-                <div class="meal-total">Total: ${monthlyTotal} meals this month</div>
-              </div>
-            `;
-    }).join('')}
-        </div>
-      `;
+    const billFields = {
+        title: title,
+        bill_type: billType,
+        amount: amount,
+        date: date,
+        split_type: splitType,
+        split_unit: splitUnit,
+        split_values: splitValues,
+        participants: participants,
+        paid_by: paidBy
+    };
 
-    container.innerHTML = cardsHTML;
+    const existing = editingBillId && bills.find(b => b.__backendId === editingBillId);
+    const recurring = document.getElementById('bill-recurring').checked && !(existing && existing.template_id);
+    let result;
+
+    if (recurring) {
+        // The template and the bill it starts from are saved together
+        const template = createTemplateFromBill(billFields);
+        const bill = existing ?
+            { ...existing, ...billFields, template_id: template.id } :
+            { type: 'bill', id: Date.now().toString(), ...billFields, template_id: template.id };
+        result = await applyRecordBatch(existing ?
+            { created: [template], updated: [bill] } :
+            { created: [template, bill] });
+    } else {
+        result = existing ?
+            await updateRecord({ ...existing, ...billFields }) :
+            await createRecord({ type: 'bill', id: Date.now().toString(), ...billFields });
+    }
+
+    if (result.isOk) {
+        showToast(existing ? `Bill "${title}" updated successfully!` : `Bill "${title}" added successfully!`);
+        closeAddBillModal();
+    } else {
+        showToast(result.error || (existing ? 'Failed to update bill. Please try again.' : 'Failed to add bill. Please try again.'));
+    }
+
+    submitBtn.disabled = false;
+    setRecordModalMode('bill', !!editingBillId);
 }
 
-async function updateMealCountDirect(memberId, newValue) {
-    const count = parseInt(newValue) || 0;
-    if (count < 0) return;
+async function deleteBill(backendId) {
+    const bill = bills.find(b => b.__backendId === backendId);
+    if (!bill) return;
 
-    const existingMeal = mealEntries.find(m => m.member_id === memberId && m.meal_date === selectedMealDate);
+    const confirmDiv = document.createElement('div');
+    confirmDiv.className = 'toast confirm-toast show';
+    confirmDiv.innerHTML = `
+        Delete bill "${bill.title}"? 
+        <button class="btn btn-danger btn-sm" onclick="confirmDeleteBill('${backendId}')" style="margin-left: 12px;">Confirm</button>
+        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
+      `;
+    document.body.appendChild(confirmDiv);
 
-    if (existingMeal) {
-        if (count === 0) {
-            await deleteRecord(existingMeal);
-        } else {
-            existingMeal.meal_count = count;
+    setTimeout(() => {
+        if (confirmDiv.parentNode) confirmDiv.remove();
+    }, 5000);
+}
 
-            const result = await (useLocalStorage ?
-                Promise.resolve({ isOk: true }) :
-                window.dataSdk.update(existingMeal)
-            );
+window.confirmDeleteBill = async function (backendId) {
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
 
-            if (useLocalStorage && result.isOk) {
-                LocalStorage.save(allData);
-                updateAllViews();
-            }
-        }
-    } else if (count > 0) {
-        const newMeal = {
-            type: 'meal_entry',
-            id: Date.now().toString() + '_' + memberId,
-            member_id: memberId,
-            meal_date: selectedMealDate,
-            meal_count: count
-        };
+    const bill = bills.find(b => b.__backendId === backendId);
+    if (!bill) return;
+
+    const result = await deleteRecord(bill);
 
-        await createRecord(newMeal);
+    if (result.isOk) {
+        showToast(`Bill deleted successfully`, result.batchId);
+    } else {
+        showToast(result.error || 'Failed to delete bill');
     }
+};
+
+function openAddPaymentModal() {
+    const addPaymentModal = document.getElementById('add-payment-modal');
+    addPaymentModal.classList.add('active');
+    document.getElementById('payment-date').valueAsDate = new Date();
 }
 
-window.updateMealCountDirect = updateMealCountDirect;
+function openEditPaymentModal(backendId) {
+    const payment = payments.find(p => p.__backendId === backendId);
+    if (!payment) return;
 
-function renderSettlement() {
-    const container = document.getElementById('settlement-container');
+    openAddPaymentModal();
+    editingPaymentId = backendId;
+    setRecordModalMode('payment', true);
 
-    if (members.length === 0) {
-        container.innerHTML = `
-          <div class="empty-state">
-            <div class="empty-icon">📝</div>
-            <div class="empty-title">No Settlement Data</div>
-            <div class="empty-text">Add members and record payments to generate settlement reports</div>
-          </div>
-        `;
+    document.getElementById('payment-member').value = payment.member_id;
+    document.getElementById('payment-amount').value = payment.amount;
+    document.getElementById('payment-date').value = payment.date;
+    document.getElementById('payment-method').value = payment.payment_method;
+    document.getElementById('payment-note').value = payment.note || '';
+}
+
+window.openEditPaymentModal = openEditPaymentModal;
+
+function closeAddPaymentModal() {
+    const addPaymentModal = document.getElementById('add-payment-modal');
+    addPaymentModal.classList.remove('active');
+    document.getElementById('add-payment-form').reset();
+    editingPaymentId = null;
+    setRecordModalMode('payment', false);
+}
+
+async function handlePaymentSubmit(e) {
+    e.preventDefault();
+
+    if (exceedsRecordLimit(getRecordCountAfter(editingPaymentId ? 0 : 1, 1))) {
+        showToast(`Maximum limit of ${sdkRecordLimit} records reached`);
         return;
     }
 
-    const report = BachelorHouseMealManager.settlementReport();
+    const submitBtn = document.getElementById('save-payment-btn');
+    const submitText = document.getElementById('save-payment-text');
 
-    const tableHTML = `
-        <div class="table-wrapper">
-          <table>
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Join Date</th>
-                <th>Monthly Meals</th>
-                <th>Total Paid</th>
-                <th>Total Bills</th>
-                <th>Total Due</th>
-                <th>Advance Payment</th>
-                <th>Status</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${report.map(member => {
-        const status = member.total_due > 0 ? 'due' : 'paid';
-        const statusClass = status === 'paid' ? 'status-paid' : 'status-due';
-        const statusText = status === 'paid' ? 'Fully Paid' : 'Pending';
-        const advancePayment = member.total_paid - member.total_bills;
+    submitBtn.disabled = true;
+    submitText.innerHTML = `<span class="loading-spinner"></span> ${editingPaymentId ? 'Saving...' : 'Adding...'}`;
+
+    const memberId = document.getElementById('payment-member').value;
+    const amount = parseFloat(document.getElementById('payment-amount').value);
+    const date = document.getElementById('payment-date').value;
+    const paymentMethod = document.getElementById('payment-method').value;
+    const note = document.getElementById('payment-note').value;
+
+    const paymentFields = {
+        member_id: memberId,
+        amount: amount,
+        date: date,
+        payment_method: paymentMethod,
+        note: note
+    };
+
+    const existing = editingPaymentId && payments.find(p => p.__backendId === editingPaymentId);
+    const result = existing ?
+        await updateRecord({ ...existing, ...paymentFields }) :
+        await createRecord({ type: 'payment', id: Date.now().toString(), ...paymentFields });
+
+    if (result.isOk) {
+        showToast(existing ? `Payment updated successfully!` : `Payment added successfully!`);
+        closeAddPaymentModal();
+    } else {
+        showToast(result.error || (existing ? 'Failed to update payment. Please try again.' : 'Failed to add payment. Please try again.'));
+    }
+
+    submitBtn.disabled = false;
+    setRecordModalMode('payment', !!editingPaymentId);
+}
+
+async function deletePayment(backendId) {
+    const payment = payments.find(p => p.__backendId === backendId);
+    if (!payment) return;
+
+    const confirmDiv = document.createElement('div');
+    confirmDiv.className = 'toast confirm-toast show';
+    confirmDiv.innerHTML = `
+        Delete payment? 
+        <button class="btn btn-danger btn-sm" onclick="confirmDeletePayment('${backendId}')" style="margin-left: 12px;">Confirm</button>
+        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
+      `;
+    document.body.appendChild(confirmDiv);
+
+    setTimeout(() => {
+        if (confirmDiv.parentNode) confirmDiv.remove();
+    }, 5000);
+}
+
+window.confirmDeletePayment = async function (backendId) {
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
+
+    const payment = payments.find(p => p.__backendId === backendId);
+    if (!payment) return;
+
+    const result = await deleteRecord(payment);
+
+    if (result.isOk) {
+        showToast(`Payment deleted successfully`, result.batchId);
+    } else {
+        showToast(result.error || 'Failed to delete payment');
+    }
+};
 
-        return `
-                  <tr>
-                    <td>${member.name}</td>
-                    <td>${new Date(member.join_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</td>
-                    <td style="font-weight: 600; color: #0B5FFF;">${member.monthly_meals} meals</td>
-                    <td>৳${member.total_paid.toLocaleString()}</td>
-                    <td>৳${member.total_bills.toFixed(0).toLocaleString()}</td>
-                    <td style="color: ${member.total_due > 0 ? '#FF4D4F' : '#00C48C'}; font-weight: 600;">৳${member.total_due.toFixed(0).toLocaleString()}</td>
-                    <td style="color: ${advancePayment > 0 ? '#00C48C' : '#718096'}; font-weight: 600;">৳${advancePayment.toFixed(0).toLocaleString()}</td>
-                    <td><span class="status-badge ${statusClass}">${statusText}</span></td>
-                  </tr>
-                `;
-    }).join('')}
-            </tbody>
-          </table>
-        </div>
+window.cancelDelete = function () {
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
+};
+
+function closeMonth(monthKey) {
+    const confirmDiv = document.createElement('div');
+    confirmDiv.className = 'toast confirm-toast show';
+    confirmDiv.innerHTML = `
+        Close ${formatMonthKey(monthKey)}? Balances will carry forward and the month will be locked.
+        <button class="btn btn-danger btn-sm" onclick="confirmCloseMonth('${monthKey}')" style="margin-left: 12px;">Confirm</button>
+        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
       `;
+    document.body.appendChild(confirmDiv);
 
-    container.innerHTML = tableHTML;
+    setTimeout(() => {
+        if (confirmDiv.parentNode) confirmDiv.remove();
+    }, 5000);
 }
 
-function updateDashboardStats() {
-    const totalExpense = BachelorHouseMealManager.totalExpense();
-    const totalDeposits = BachelorHouseMealManager.totalDeposits();
-    const totalDue = BachelorHouseMealManager.totalDue();
-
-    document.getElementById('total-expense').textContent = `৳${totalExpense.toLocaleString()}`;
-    document.getElementById('total-deposits').textContent = `৳${totalDeposits.toLocaleString()}`;
-    document.getElementById('total-due').textContent = `৳${totalDue.toFixed(0).toLocaleString()}`;
+window.closeMonth = closeMonth;
 
-    document.getElementById('settlement-total-expense').textContent = `৳${totalExpense.toLocaleString()}`;
-    document.getElementById('settlement-total-deposits').textContent = `৳${totalDeposits.toLocaleString()}`;
-    document.getElementById('settlement-total-due').textContent = `৳${totalDue.toFixed(0).toLocaleString()}`;
-}
+window.confirmCloseMonth = async function (monthKey) {
+    document.querySelectorAll('.confirm-toast').forEach(t => t.remove());
 
-function updatePaymentMemberSelect() {
-    const select = document.getElementById('payment-member');
-    select.innerHTML = '<option value="">Choose a member...</option>' +
-        members.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
-}
+    if (getMonthClose(monthKey)) return;
 
-// Mobile menu functions
-function toggleMobileMenu() {
-    const sidebar = document.getElementById('sidebar');
-    const overlay = document.getElementById('sidebar-overlay');
-    const menuBtn = document.getElementById('mobile-menu-btn');
+    const report = BachelorHouseMealManager.settlementReport(monthKey);
+    const balances = {};
+    report.forEach(row => {
+        balances[row.member_id] = row.closing_balance;
+    });
 
-    sidebar.classList.toggle('mobile-open');
-    overlay.classList.toggle('active');
-    menuBtn.classList.toggle('active');
+    const result = await createRecord({
+        type: 'month_close',
+        id: 'close_' + monthKey,
+        month: monthKey,
+        closed_at: new Date().toISOString(),
+        meal_rate: BachelorHouseMealManager.mealRate(monthKey),
+        meal_rates: BachelorHouseMealManager.mealRateGroups(monthKey),
+        total_fixed_cost: BachelorHouseMealManager.totalFixedCost(monthKey),
+        balances: balances,
+        report: report
+    });
 
-    if (menuBtn.classList.contains('active')) {
-        menuBtn.textContent = '✕';
+    if (result.isOk) {
+        showToast(`🔒 ${formatMonthKey(monthKey)} closed`);
     } else {
-        menuBtn.textContent = '☰';
+        showToast(result.error || 'Failed to close month');
     }
-}
-
-function closeMobileMenu() {
-    const sidebar = document.getElementById('sidebar');
-    const overlay = document.getElementById('sidebar-overlay');
-    const menuBtn = document.getElementById('mobile-menu-btn');
+};
 
-    sidebar.classList.remove('mobile-open');
-    overlay.classList.remove('active');
-    menuBtn.classList.remove('active');
-    menuBtn.textContent = '☰';
-}
+window.reopenMonth = async function (monthKey) {
+    const closed = getMonthClose(monthKey);
+    if (!closed) return;
 
-// Event Listeners
-function setupEventListeners() {
-    // Mobile menu
-    const mobileMenuBtn = document.getElementById('mobile-menu-btn');
-    const sidebarOverlay = document.getElementById('sidebar-overlay');
+    // A later closed month already locked its opening balance from this one
+    const laterClosed = allData.some(d => d.type === 'month_close' && d.month > monthKey);
+    if (laterClosed) {
+        showToast('Reopen later months first');
+        return;
+    }
 
-    mobileMenuBtn.addEventListener('click', toggleMobileMenu);
-    sidebarOverlay.addEventListener('click', closeMobileMenu);
+    const result = await deleteRecord(closed);
 
-    // Navigation
-    const navItems = document.querySelectorAll('.nav-item');
-    const pages = document.querySelectorAll('.page');
+    if (result.isOk) {
+        showToast(`${formatMonthKey(monthKey)} reopened`);
+    } else {
+        showToast(result.error || 'Failed to reopen month');
+    }
+};
 
-    navItems.forEach(item => {
-        item.addEventListener('click', () => {
-            const targetPage = item.getAttribute('data-page');
+function openCostSettingsModal() {
+    const categories = getHouseSettings().bill_categories;
+    document.getElementById('bill-category-list').innerHTML = Object.entries(billTypeLabels).map(([billType, label]) => `
+        <div class="split-row">
+          <span class="split-member-name">${label}</span>
+          <select class="form-control category-select" data-bill-type="${billType}">
+            <option value="meal" ${categories[billType] === 'meal' ? 'selected' : ''}>Meal cost (by meal rate)</option>
+            <option value="fixed" ${categories[billType] === 'fixed' ? 'selected' : ''}>Fixed cost (by split rule)</option>
+          </select>
+        </div>
+      `).join('');
+    const weights = getHouseSettings().slot_weights;
+    document.getElementById('slot-weight-list').innerHTML = mealSlots.map(slot => `
+        <div class="split-row">
+          <span class="split-member-name">${mealSlotLabels[slot]}</span>
+          <input type="number" class="form-control split-input slot-weight-input" data-slot="${slot}" min="0" max="5" step="0.05" value="${weights[slot]}">
+        </div>
+      `).join('');
+    document.getElementById('cost-settings-modal').classList.add('active');
+}
 
-            navItems.forEach(nav => nav.classList.remove('active'));
-            pages.forEach(page => page.classList.remove('active'));
+function closeCostSettingsModal() {
+    document.getElementById('cost-settings-modal').classList.remove('active');
+}
 
-            item.classList.add('active');
-            document.getElementById(`${targetPage}-page`).classList.add('active');
+async function handleCostSettingsSubmit(e) {
+    e.preventDefault();
 
-            // Close mobile menu on navigation
-            if (window.innerWidth <= 768) {
-                closeMobileMenu();
-            }
-        });
+    const billCategories = {};
+    document.querySelectorAll('#bill-category-list .category-select').forEach(select => {
+        billCategories[select.dataset.billType] = select.value;
     });
 
-    // Member Modal
-    const addMemberBtns = [
-        document.getElementById('add-member-btn'),
-        document.getElementById('add-member-dashboard')
-    ];
-
-    addMemberBtns.forEach(btn => {
-        if (btn) btn.addEventListener('click', openAddMemberModal);
+    const slotWeights = {};
+    document.querySelectorAll('#slot-weight-list .slot-weight-input').forEach(input => {
+        slotWeights[input.dataset.slot] = parseFloat(input.value);
     });
+    if (Object.values(slotWeights).some(weight => !(weight >= 0 && weight <= 5))) {
+        showToast('Meal slot weights must be between 0 and 5');
+        return;
+    }
 
-    document.getElementById('close-member-modal').addEventListener('click', closeAddMemberModal);
-    document.getElementById('cancel-member-btn').addEventListener('click', closeAddMemberModal);
+    const result = await saveHouseSettings({ bill_categories: billCategories, slot_weights: slotWeights });
 
-    const addMemberModal = document.getElementById('add-member-modal');
-    addMemberModal.addEventListener('click', (e) => {
-        if (e.target === addMemberModal) closeAddMemberModal();
-    });
+    if (result.isOk) {
+        showToast('Cost categories updated');
+        closeCostSettingsModal();
+    } else {
+        showToast('Failed to save cost categories');
+    }
+}
 
-    // Bill Modal
-    const addBillBtns = [
-        document.getElementById('add-bill-btn-header'),
-        document.getElementById('add-bill-fab')
-    ];
+// Sync settings
+function renderSyncStatus() {
+    const statusEl = document.getElementById('sync-status');
+    const connectBtn = document.getElementById('sync-connect-btn');
+    const urlInput = document.getElementById('sync-url');
+    const syncNowBtn = document.getElementById('sync-now-btn');
 
-    addBillBtns.forEach(btn => {
-        if (btn) btn.addEventListener('click', openAddBillModal);
-    });
+    if (!useLocalStorage) {
+        statusEl.textContent = 'Data is shared through the hosted data service; a sync server is not needed.';
+        [connectBtn, urlInput, syncNowBtn].forEach(el => { el.disabled = true; });
+        return;
+    }
 
-    document.getElementById('close-bill-modal').addEventListener('click', closeAddBillModal);
-    document.getElementById('cancel-bill-btn').addEventListener('click', closeAddBillModal);
+    const connected = RemoteSync.isConfigured();
+    const pending = RemoteSync.pendingCount();
+    connectBtn.textContent = connected ? 'Disconnect' : 'Connect';
+    connectBtn.className = connected ? 'btn btn-outline' : 'btn btn-primary';
+    urlInput.disabled = connected;
+    syncNowBtn.disabled = !connected || RemoteSync.syncing;
+    if (connected) urlInput.value = RemoteSync.state.url;
+
+    const waiting = pending > 0 ? ` · ${pending} change${pending === 1 ? '' : 's'} waiting` : '';
+    const lastSynced = RemoteSync.state.last_synced ?
+        new Date(RemoteSync.state.last_synced).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : null;
+
+    if (!connected) {
+        statusEl.textContent = 'Not connected. Data stays on this device.';
+    } else if (RemoteSync.status === 'syncing') {
+        statusEl.textContent = `🔄 Syncing…${waiting}`;
+    } else if (RemoteSync.status === 'offline') {
+        statusEl.textContent = `⚠️ Server unreachable (${RemoteSync.error})${waiting}`;
+    } else {
+        statusEl.textContent = lastSynced ? `✅ Synced at ${lastSynced}${waiting}` : `Waiting for first sync${waiting}`;
+    }
+}
 
-    const addBillModal = document.getElementById('add-bill-modal');
-    addBillModal.addEventListener('click', (e) => {
-        if (e.target === addBillModal) closeAddBillModal();
-    });
+function toggleSyncConnection() {
+    if (RemoteSync.isConfigured()) {
+        const pending = RemoteSync.pendingCount();
+        RemoteSync.disconnect();
+        showToast(pending > 0 ? `Sync disconnected; ${pending} changes were not uploaded` : 'Sync disconnected');
+        return;
+    }
 
-    // Payment Modal
-    const addPaymentBtns = [
-        document.getElementById('add-payment-btn-header'),
-        document.getElementById('add-payment-fab')
-    ];
+    const url = document.getElementById('sync-url').value.trim();
+    if (!/^https?:\/\//.test(url)) {
+        showToast('Enter the server address, e.g. http://192.168.0.10:8787');
+        return;
+    }
 
-    addPaymentBtns.forEach(btn => {
-        if (btn) btn.addEventListener('click', openAddPaymentModal);
-    });
+    RemoteSync.connect(url);
+    showToast('🔄 Connected to sync server');
+}
 
-    document.getElementById('close-payment-modal').addEventListener('click', closeAddPaymentModal);
-    document.getElementById('cancel-payment-btn').addEventListener('click', closeAddPaymentModal);
+// Backup export / import
+const BACKUP_VERSION = 1;
+
+const recordSchemas = {
+    member: { required: ['id', 'name', 'join_date'], numeric: [] },
+    bill: { required: ['id', 'title', 'bill_type', 'amount', 'date', 'split_type'], numeric: ['amount'] },
+    payment: { required: ['id', 'member_id', 'amount', 'date'], numeric: ['amount'] },
+    meal_entry: { required: ['id', 'member_id', 'meal_date', 'meal_count'], numeric: ['meal_count'] },
+    settings: { required: ['id'], numeric: [] },
+    meal_off: { required: ['id', 'member_id', 'from_date', 'to_date'], numeric: [] },
+    bill_template: { required: ['id', 'title', 'bill_type', 'amount', 'day_of_month', 'start_month'], numeric: ['amount', 'day_of_month'] },
+    month_close: { required: ['id', 'month', 'balances', 'report'], numeric: [] },
+    audit: { required: ['id', 'batch_id', 'at', 'action', 'record_type', 'record_id'], numeric: [] }
+};
 
-    const addPaymentModal = document.getElementById('add-payment-modal');
-    addPaymentModal.addEventListener('click', (e) => {
-        if (e.target === addPaymentModal) closeAddPaymentModal();
-    });
+function exportBackup() {
+    const backup = {
+        app: 'bachelor_house',
+        version: BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        records: allData
+    };
 
-    // Forms
-    document.getElementById('add-member-form').addEventListener('submit', handleMemberSubmit);
-    document.getElementById('add-bill-form').addEventListener('submit', handleBillSubmit);
-    document.getElementById('add-payment-form').addEventListener('submit', handlePaymentSubmit);
+    downloadFile(`bachelor_house_backup_${toDateKey(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    showToast(`💾 Backup with ${allData.length} records downloaded`);
+}
 
-    // Month Navigation
-    document.getElementById('prev-month').addEventListener('click', () => {
-        currentDate.setMonth(currentDate.getMonth() - 1);
-        updateMonthDisplay();
-    });
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 
-    document.getElementById('next-month').addEventListener('click', () => {
-        currentDate.setMonth(currentDate.getMonth() + 1);
-        updateMonthDisplay();
-    });
+function validateRecord(record) {
+    if (!record || typeof record !== 'object') return 'not an object';
 
-    // Dashboard Filter
-    const dashboardFilter = document.getElementById('dashboard-month-filter');
-    dashboardFilter.addEventListener('change', (e) => {
-        filterMonth = e.target.value;
-        updateAllViews();
-    });
+    const schema = recordSchemas[record.type];
+    if (!schema) return `unknown type "${record.type}"`;
 
-    document.getElementById('clear-filter-btn').addEventListener('click', () => {
-        filterMonth = null;
-        dashboardFilter.value = '';
-        updateAllViews();
-    });
+    const missing = schema.required.filter(field => record[field] === undefined || record[field] === null || record[field] === '');
+    if (missing.length > 0) return `missing ${missing.join(', ')}`;
 
-    // Global Search
-    const globalSearch = document.getElementById('global-search');
-    globalSearch.addEventListener('input', (e) => {
-        searchQuery = e.target.value;
-        renderMembersTable();
-    });
+    const invalid = schema.numeric.filter(field => typeof record[field] !== 'number' || isNaN(record[field]));
+    if (invalid.length > 0) return `${invalid.join(', ')} must be a number`;
 
-    // Generate Report
-    document.getElementById('generate-report-btn').addEventListener('click', generatePDFReport);
+    return null;
+}
 
-    // Meal Date Picker
-    const mealDatePicker = document.getElementById('meal-date-picker');
-    mealDatePicker.valueAsDate = new Date();
-    mealDatePicker.addEventListener('change', (e) => {
-        selectedMealDate = e.target.value;
-        renderMealsGrid();
-    });
+function describeRecord(record, index) {
+    const label = record && (record.name || record.title || record.meal_date || record.date || record.month || record.id);
+    return `#${index + 1} ${record && record.type ? record.type : 'record'}${label ? ` (${label})` : ''}`;
 }
 
-function openAddMemberModal() {
-    const addMemberModal = document.getElementById('add-member-modal');
-    addMemberModal.classList.add('active');
-    document.getElementById('join-date').valueAsDate = new Date();
+// Member ids a record points at; an import must not leave any of them dangling
+function getReferencedMemberIds(record) {
+    switch (record.type) {
+        case 'payment': return [record.member_id, record.paid_to].filter(Boolean);
+        case 'meal_entry':
+        case 'meal_off': return [record.member_id];
+        case 'bill':
+        case 'bill_template': return [
+            ...(Array.isArray(record.participants) ? record.participants : []),
+            ...Object.keys(record.split_values || {}),
+            ...Object.keys(record.paid_by || {})
+        ];
+        default: return [];
+    }
 }
 
-function closeAddMemberModal() {
-    const addMemberModal = document.getElementById('add-member-modal');
-    addMemberModal.classList.remove('active');
-    document.getElementById('add-member-form').reset();
+// Merge matches by __backendId, or by natural id so a backup's settings and month closes
+// update the copies already here instead of adding second ones
+function findImportMatch(record) {
+    const naturalId = getNaturalId(record);
+    return allData.find(d => d.__backendId === record.__backendId) ||
+        (naturalId ? allData.find(d => d.type === record.type && getNaturalId(d) === naturalId) : null);
 }
 
-async function handleMemberSubmit(e) {
-    e.preventDefault();
+// Works out what an import would change without touching any data
+function buildImportPlan(backup, mode) {
+    const issues = [];
 
-    if (allData.length >= 999) {
-        showToast('Maximum limit of 999 records reached');
-        return;
+    if (!backup || backup.app !== 'bachelor_house' || !Array.isArray(backup.records)) {
+        return { issues: ['This file is not a Bachelor House backup'], created: [], updated: [], deleted: [], skipped: 0 };
     }
 
-    const submitBtn = document.getElementById('save-member-btn');
-    const submitText = document.getElementById('save-member-text');
+    if (backup.version > BACKUP_VERSION) {
+        return { issues: [`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION})`], created: [], updated: [], deleted: [], skipped: 0 };
+    }
 
-    submitBtn.disabled = true;
-    submitText.innerHTML = '<span class="loading-spinner"></span> Adding...';
+    const seenIds = new Set();
+    const validRecords = [];
 
-    const name = document.getElementById('member-name').value;
-    const phone = document.getElementById('member-phone').value;
-    const joinDate = document.getElementById('join-date').value;
+    backup.records.forEach((record, index) => {
+        const error = validateRecord(record);
+        if (error) {
+            issues.push(`${describeRecord(record, index)}: ${error}`);
+            return;
+        }
 
-    const newMember = {
-        type: 'member',
-        id: Date.now().toString(),
-        name: name,
-        phone: phone,
-        join_date: joinDate
-    };
+        if (record.__backendId) {
+            if (seenIds.has(record.__backendId)) {
+                issues.push(`${describeRecord(record, index)}: duplicate __backendId ${record.__backendId}`);
+                return;
+            }
+            seenIds.add(record.__backendId);
+        }
+
+        validRecords.push({ record, index });
+    });
 
-    const result = await createRecord(newMember);
+    const keptMembers = mode === 'replace' ? [] : members;
+    const memberIds = new Set([
+        ...keptMembers.map(m => m.id),
+        ...validRecords.filter(({ record }) => record.type === 'member').map(({ record }) => record.id)
+    ]);
 
-    if (result.isOk) {
-        showToast(`Member "${name}" added successfully!`);
-        closeAddMemberModal();
+    const importable = validRecords.filter(({ record, index }) => {
+        const missingIds = [...new Set(getReferencedMemberIds(record))].filter(id => !memberIds.has(id));
+        if (missingIds.length > 0) {
+            issues.push(`${describeRecord(record, index)}: ${missingIds.length === 1 ? `member ${missingIds[0]} does not exist` : `members ${missingIds.join(', ')} do not exist`}`);
+            return false;
+        }
+        return true;
+    }).map(({ record, index }) => ({ record: { ...record }, index }));
+
+    const plan = { issues, mode, skipped: backup.records.length - importable.length, created: [], updated: [], deleted: [] };
+
+    if (mode === 'replace') {
+        // History is append-only: a restore never rewrites or drops audit entries already on this device
+        const existingIds = new Set(allData.map(d => d.__backendId));
+        plan.created = importable.map(({ record }) => record).filter(r => !(r.type === 'audit' && existingIds.has(r.__backendId)));
+        plan.deleted = allData.filter(d => d.type !== 'audit');
     } else {
-        showToast('Failed to add member. Please try again.');
+        // Merging keeps this device's month locks, so records in closed months are skipped
+        importable.forEach(({ record, index }) => {
+            const existing = findImportMatch(record);
+            if (existing && (record.type === 'audit' || JSON.stringify({ ...record, __backendId: existing.__backendId }) === JSON.stringify(existing))) return;
+
+            const locked = [record, existing].find(r => r && isRecordLocked(r));
+            if (locked) {
+                issues.push(`${describeRecord(record, index)}: ${lockedMonthError(locked).error}`);
+                plan.skipped++;
+            } else if (existing) {
+                plan.updated.push({ ...record, __backendId: existing.__backendId });
+            } else {
+                plan.created.push(record);
+            }
+        });
     }
 
-    submitBtn.disabled = false;
-    submitText.innerHTML = '✓ Add Member';
+    const changedCount = [...plan.created, ...plan.updated, ...plan.deleted].filter(r => r.type !== 'audit').length;
+    const resultingCount = getRecordCountAfter(plan.created.length - plan.deleted.length, changedCount);
+    if (exceedsRecordLimit(resultingCount)) {
+        plan.issues.push(`Import would exceed the maximum of ${sdkRecordLimit} records (${resultingCount})`);
+        plan.blocked = true;
+    }
+
+    return plan;
 }
 
-async function deleteMember(backendId) {
-    const member = members.find(m => m.__backendId === backendId);
-    if (!member) return;
+function handleBackupFileSelected(e) {
+    const file = e.target.files[0];
+    pendingImport = null;
 
-    const confirmDiv = document.createElement('div');
-    confirmDiv.className = 'toast show';
-    confirmDiv.innerHTML = `
-        Delete ${member.name}? 
-        <button class="btn btn-danger btn-sm" onclick="confirmDeleteMember('${backendId}')" style="margin-left: 12px;">Confirm</button>
-        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
-      `;
-    document.body.appendChild(confirmDiv);
+    if (!file) {
+        renderImportPreview();
+        return;
+    }
 
-    setTimeout(() => {
-        if (confirmDiv.parentNode) confirmDiv.remove();
-    }, 5000);
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            pendingImport = { fileName: file.name, backup: JSON.parse(reader.result) };
+        } catch (err) {
+            pendingImport = { fileName: file.name, backup: null };
+        }
+        renderImportPreview();
+    };
+    reader.readAsText(file);
 }
 
-window.confirmDeleteMember = async function (backendId) {
-    document.querySelectorAll('.toast').forEach(t => t.remove());
+function renderImportPreview() {
+    const container = document.getElementById('import-preview-container');
 
-    const member = members.find(m => m.__backendId === backendId);
-    if (!member) return;
+    if (!pendingImport) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const mode = document.getElementById('import-mode').value;
+    const plan = buildImportPlan(pendingImport.backup, mode);
+    pendingImport.plan = plan;
+
+    const countByType = list => Object.keys(recordSchemas).map(type => list.filter(r => r.type === type).length);
+    const createdCounts = countByType(plan.created);
+    const updatedCounts = countByType(plan.updated);
+    const deletedCounts = countByType(plan.deleted);
+    const hasChanges = plan.created.length + plan.updated.length + plan.deleted.length > 0;
+
+    container.innerHTML = `
+        <div class="import-preview">
+          <div class="card-title" style="margin-bottom: 12px;">Preview: ${pendingImport.fileName}</div>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Record Type</th>
+                  <th>New</th>
+                  <th>Updated</th>
+                  <th>Removed</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${Object.keys(recordSchemas).map((type, i) => `
+                  <tr>
+                    <td>${type.replace('_', ' ')}</td>
+                    <td>${createdCounts[i]}</td>
+                    <td>${updatedCounts[i]}</td>
+                    <td>${deletedCounts[i]}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          ${plan.issues.length > 0 ? `
+            <div class="import-issues">
+              <strong>${plan.skipped} record(s) will be skipped:</strong>
+              <ul>${plan.issues.slice(0, 20).map(issue => `<li>${issue}</li>`).join('')}</ul>
+              ${plan.issues.length > 20 ? `<div>…and ${plan.issues.length - 20} more</div>` : ''}
+            </div>
+          ` : ''}
+          <div class="modal-actions">
+            <button class="btn btn-outline btn-block" onclick="cancelImport()">Cancel</button>
+            <button class="btn btn-success btn-block" onclick="confirmImport()" ${!hasChanges || plan.blocked ? 'disabled' : ''}>✓ Confirm Import</button>
+          </div>
+        </div>
+      `;
+}
 
-    const result = await deleteRecord(member);
+window.confirmImport = async function () {
+    if (!pendingImport || !pendingImport.plan || pendingImport.plan.blocked) return;
+
+    const { mode, created, updated, deleted } = pendingImport.plan;
+    // Replacing restores the backup's own month locks, so only then do current locks not apply
+    const result = await applyRecordBatch({ created, updated, deleted }, { skipLockCheck: mode === 'replace' });
 
     if (result.isOk) {
-        showToast(`Member deleted successfully`);
+        showToast(`Imported ${created.length + updated.length} records`);
+        cancelImport();
     } else {
-        showToast('Failed to delete member');
+        showToast(result.error || 'Failed to import backup');
     }
 };
 
-function openAddBillModal() {
-    const addBillModal = document.getElementById('add-bill-modal');
-    addBillModal.classList.add('active');
-    document.getElementById('bill-date').valueAsDate = new Date();
+window.cancelImport = function () {
+    pendingImport = null;
+    document.getElementById('import-backup-file').value = '';
+    renderImportPreview();
+};
+
+// CSV export / import
+const csvColumns = {
+    bills: ['date', 'title', 'bill_type', 'amount', 'split_type', 'participants', 'split_unit', 'split_values', 'paid_by'],
+    payments: ['date', 'member', 'amount', 'payment_method', 'note', 'paid_to', 'refund'],
+    meals: ['date', 'member', 'breakfast', 'lunch', 'dinner', 'meal_count', 'guest_count', 'breakfast_count']
+};
+
+const csvRequiredColumns = {
+    bills: ['date', 'title', 'bill_type', 'amount'],
+    payments: ['date', 'member', 'amount'],
+    meals: ['date', 'member']
+};
+
+function toCsv(rows) {
+    const escapeCell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    // The BOM lets spreadsheet apps read ৳ and Bangla names as UTF-8
+    return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
 }
 
-function closeAddBillModal() {
-    const addBillModal = document.getElementById('add-bill-modal');
-    addBillModal.classList.remove('active');
-    document.getElementById('add-bill-form').reset();
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
 }
 
-async function handleBillSubmit(e) {
-    e.preventDefault();
+function getMemberName(memberId) {
+    const member = members.find(m => m.id === memberId);
+    return member ? member.name : 'Unknown';
+}
 
-    if (allData.length >= 999) {
-        showToast('Maximum limit of 999 records reached');
-        return;
+function findMemberByRef(ref) {
+    const value = (ref || '').trim().toLowerCase();
+    return members.find(m => m.id.toLowerCase() === value) ||
+        members.find(m => m.name.trim().toLowerCase() === value);
+}
+
+function exportCsv(view) {
+    const monthKey = getSelectedMonthKey();
+    const { filteredBills, filteredPayments, filteredMealEntries } = getFilteredData();
+    let rows;
+
+    if (view === 'bills') {
+        rows = [csvColumns.bills, ...filteredBills.map(b => [
+            b.date,
+            b.title,
+            b.bill_type,
+            b.amount,
+            b.split_type,
+            Array.isArray(b.participants) ? b.participants.map(getMemberName).join(';') : '',
+            b.split_unit || '',
+            b.split_values ? Object.entries(b.split_values).map(([id, value]) => `${getMemberName(id)}=${value}`).join(';') : '',
+            b.paid_by ? Object.entries(b.paid_by).map(([id, value]) => `${getMemberName(id)}=${value}`).join(';') : ''
+        ])];
+    } else if (view === 'payments') {
+        rows = [csvColumns.payments, ...filteredPayments.map(p => [
+            p.date, getMemberName(p.member_id), p.amount, p.payment_method, p.note || '',
+            p.paid_to ? getMemberName(p.paid_to) : '', p.refund ? 'yes' : ''
+        ])];
+    } else if (view === 'meals') {
+        rows = [csvColumns.meals, ...filteredMealEntries
+            .slice()
+            .sort((a, b) => a.meal_date.localeCompare(b.meal_date))
+            .map(m => [
+                m.meal_date,
+                getMemberName(m.member_id),
+                ...mealSlots.map(slot => m.slots && m.slots[slot] ? 1 : 0),
+                m.meal_count || 0,
+                m.guest_count || 0,
+                m.breakfast_count || 0
+            ])];
+    } else {
+        rows = [
+            ['name', 'days', 'meals', 'guest_meals', 'meal_cost', 'fixed_cost', 'total_bills', 'opening_balance', 'spent_on_house', 'total_paid', 'total_due', 'advance'],
+            ...BachelorHouseMealManager.settlementReport(monthKey).map(m => [
+                m.name,
+                m.resident_days === undefined ? '' : m.resident_days,
+                formatMeals(m.monthly_meals),
+                formatMeals(m.guest_meals || 0),
+                m.meal_cost.toFixed(2),
+                m.fixed_cost.toFixed(2),
+                m.total_bills.toFixed(2),
+                m.opening_balance.toFixed(2),
+                (m.spent_on_house || 0).toFixed(2),
+                m.total_paid.toFixed(2),
+                m.total_due.toFixed(2),
+                m.advance.toFixed(2)
+            ])
+        ];
     }
 
-    const submitBtn = document.getElementById('save-bill-btn');
-    const submitText = document.getElementById('save-bill-text');
+    downloadFile(`${view}_${monthKey}.csv`, toCsv(rows), 'text/csv;charset=utf-8');
+    showToast(`⬇️ Exported ${rows.length - 1} ${view} rows for ${formatMonthKey(monthKey)}`);
+}
 
-    submitBtn.disabled = true;
-    submitText.innerHTML = '<span class="loading-spinner"></span> Adding...';
+window.exportCsv = exportCsv;
 
-    const title = document.getElementById('bill-title').value;
-    const billType = document.getElementById('bill-type').value;
-    const amount = parseFloat(document.getElementById('bill-amount').value);
-    const date = document.getElementById('bill-date').value;
-    const splitType = document.getElementById('split-type').value;
+function isValidDateKey(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value + 'T00:00:00').getTime());
+}
 
-    const newBill = {
-        type: 'bill',
-        id: Date.now().toString(),
-        title: title,
-        bill_type: billType,
-        amount: amount,
-        date: date,
-        split_type: splitType,
-        participants: 'all'
-    };
+// Each builder returns { record } or { error } for one CSV row
+function csvRowToBill(row) {
+    const amount = parseFloat(row.amount);
+    const splitType = (row.split_type || 'equal').trim().toLowerCase();
+    const splitUnit = splitType === 'custom' ? ((row.split_unit || 'amount').trim().toLowerCase()) : null;
+
+    if (!isValidDateKey(row.date)) return { error: `invalid date "${row.date}"` };
+    if (!row.title.trim()) return { error: 'title is empty' };
+    if (!billTypeLabels[row.bill_type.trim()]) return { error: `unknown bill_type "${row.bill_type}"` };
+    if (!(amount > 0)) return { error: `invalid amount "${row.amount}"` };
+    if (!['equal', 'custom', 'weight'].includes(splitType)) return { error: `unknown split_type "${row.split_type}"` };
+    if (splitUnit && !['amount', 'percent'].includes(splitUnit)) return { error: `unknown split_unit "${row.split_unit}"` };
+
+    // Without a participants column, everyone living in the house that month shares the bill
+    const monthKey = getMonthKey(row.date);
+    let participants = members.filter(m => isMemberActiveInMonth(m, monthKey)).map(m => m.id);
+    if (row.participants && row.participants.trim()) {
+        const refs = row.participants.split(';').map(ref => ref.trim()).filter(Boolean);
+        const unknown = refs.filter(ref => !findMemberByRef(ref));
+        if (unknown.length > 0) return { error: `unknown participant(s) ${unknown.join(', ')}` };
+        participants = refs.map(ref => findMemberByRef(ref).id);
+    }
 
-    const result = await createRecord(newBill);
+    let splitValues = null;
+    if (splitType !== 'equal') {
+        splitValues = {};
+        const pairs = (row.split_values || '').split(';').map(pair => pair.trim()).filter(Boolean);
+        for (const pair of pairs) {
+            const [ref, value] = pair.split('=');
+            const member = findMemberByRef(ref);
+            if (!member) return { error: `unknown member "${ref}" in split_values` };
+            if (!participants.includes(member.id)) return { error: `${member.name} has a split value but is not a participant` };
+            splitValues[member.id] = parseFloat(value) || 0;
+        }
+        const splitError = validateSplit(splitType, splitUnit, splitValues, amount);
+        if (splitError) return { error: splitError };
+    }
 
-    if (result.isOk) {
-        showToast(`Bill "${title}" added successfully!`);
-        closeAddBillModal();
-    } else {
-        showToast('Failed to add bill. Please try again.');
+    let paidBy = null;
+    if (row.paid_by && row.paid_by.trim()) {
+        paidBy = {};
+        for (const pair of row.paid_by.split(';').map(p => p.trim()).filter(Boolean)) {
+            const [ref, value] = pair.split('=');
+            const member = findMemberByRef(ref);
+            if (!member) return { error: `unknown member "${ref}" in paid_by` };
+            // A bare name means that member paid the whole bill
+            paidBy[member.id] = value === undefined ? amount : parseFloat(value) || 0;
+        }
+        const paidByError = validatePaidBy(paidBy, amount);
+        if (paidByError) return { error: paidByError };
     }
 
-    submitBtn.disabled = false;
-    submitText.innerHTML = '✓ Add Bill';
+    return {
+        record: {
+            type: 'bill',
+            title: row.title.trim(),
+            bill_type: row.bill_type.trim(),
+            amount: amount,
+            date: row.date,
+            split_type: splitType,
+            split_unit: splitUnit,
+            split_values: splitValues,
+            participants: participants,
+            paid_by: paidBy
+        }
+    };
 }
 
-async function deleteBill(backendId) {
-    const bill = bills.find(b => b.__backendId === backendId);
-    if (!bill) return;
+function csvRowToPayment(row) {
+    const amount = parseFloat(row.amount);
+    const member = findMemberByRef(row.member);
+    const paymentMethod = (row.payment_method || 'cash').trim().toLowerCase();
 
-    const confirmDiv = document.createElement('div');
-    confirmDiv.className = 'toast show';
-    confirmDiv.innerHTML = `
-        Delete bill "${bill.title}"? 
-        <button class="btn btn-danger btn-sm" onclick="confirmDeleteBill('${backendId}')" style="margin-left: 12px;">Confirm</button>
-        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
-      `;
-    document.body.appendChild(confirmDiv);
+    if (!isValidDateKey(row.date)) return { error: `invalid date "${row.date}"` };
+    if (!member) return { error: `unknown member "${row.member}"` };
+    if (!(amount > 0)) return { error: `invalid amount "${row.amount}"` };
+    if (!['cash', 'bkash', 'bank', 'other'].includes(paymentMethod)) return { error: `unknown payment_method "${row.payment_method}"` };
 
-    setTimeout(() => {
-        if (confirmDiv.parentNode) confirmDiv.remove();
-    }, 5000);
+    const record = {
+        type: 'payment',
+        member_id: member.id,
+        amount: amount,
+        date: row.date,
+        payment_method: paymentMethod,
+        note: (row.note || '').trim()
+    };
+
+    if (row.paid_to) {
+        const receiver = findMemberByRef(row.paid_to);
+        if (!receiver) return { error: `unknown paid_to member "${row.paid_to}"` };
+        record.paid_to = receiver.id;
+    }
+    if (['yes', 'true', '1'].includes((row.refund || '').toLowerCase())) record.refund = true;
+
+    return { record };
 }
 
-window.confirmDeleteBill = async function (backendId) {
-    document.querySelectorAll('.toast').forEach(t => t.remove());
+function csvRowToMeal(row) {
+    const member = findMemberByRef(row.member);
+    if (!isValidDateKey(row.date)) return { error: `invalid date "${row.date}"` };
+    if (!member) return { error: `unknown member "${row.member}"` };
 
-    const bill = bills.find(b => b.__backendId === backendId);
-    if (!bill) return;
+    const record = {
+        type: 'meal_entry',
+        member_id: member.id,
+        meal_date: row.date
+    };
 
-    const result = await deleteRecord(bill);
+    for (const field of mealFields) {
+        // Every count column is optional; a row may only mark slots
+        const count = row[field] === undefined || row[field] === '' ? 0 : Number(row[field]);
+        if (isNaN(count) || count < 0) return { error: `invalid ${field} "${row[field]}"` };
+        record[field] = count;
+    }
 
-    if (result.isOk) {
-        showToast(`Bill deleted successfully`);
-    } else {
-        showToast('Failed to delete bill');
+    record.slots = {};
+    for (const slot of mealSlots) {
+        const value = (row[slot] || '').toLowerCase();
+        if (!['', '0', '1', 'yes', 'no', 'true', 'false'].includes(value)) return { error: `invalid ${slot} "${row[slot]}"` };
+        record.slots[slot] = ['1', 'yes', 'true'].includes(value);
     }
-};
 
-function openAddPaymentModal() {
-    const addPaymentModal = document.getElementById('add-payment-modal');
-    addPaymentModal.classList.add('active');
-    document.getElementById('payment-date').valueAsDate = new Date();
+    return { record };
 }
 
-function closeAddPaymentModal() {
-    const addPaymentModal = document.getElementById('add-payment-modal');
-    addPaymentModal.classList.remove('active');
-    document.getElementById('add-payment-form').reset();
-}
+function buildCsvImportPlan(view, text) {
+    const rows = parseCsv(text);
+    const errors = [];
+    const plan = { created: [], updated: [], deleted: [], errors, rowCount: Math.max(0, rows.length - 1) };
 
-async function handlePaymentSubmit(e) {
-    e.preventDefault();
+    if (rows.length < 2) {
+        errors.push('The file has no data rows');
+        return plan;
+    }
 
-    if (allData.length >= 999) {
-        showToast('Maximum limit of 999 records reached');
-        return;
+    const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = csvRequiredColumns[view].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        errors.push(`Missing column(s): ${missing.join(', ')}`);
+        return plan;
     }
 
-    const submitBtn = document.getElementById('save-payment-btn');
-    const submitText = document.getElementById('save-payment-text');
+    const builders = { bills: csvRowToBill, payments: csvRowToPayment, meals: csvRowToMeal };
+    const seenMealKeys = new Set();
+    const idPrefix = Date.now().toString();
 
-    submitBtn.disabled = true;
-    submitText.innerHTML = '<span class="loading-spinner"></span> Adding...';
+    rows.slice(1).forEach((cells, index) => {
+        const rowNumber = index + 2;
+        const row = {};
+        header.forEach((column, i) => {
+            row[column] = (cells[i] || '').trim();
+        });
 
-    const memberId = document.getElementById('payment-member').value;
-    const amount = parseFloat(document.getElementById('payment-amount').value);
-    const date = document.getElementById('payment-date').value;
-    const paymentMethod = document.getElementById('payment-method').value;
-    const note = document.getElementById('payment-note').value;
+        const { record, error } = builders[view](row);
+        if (error) {
+            errors.push(`Row ${rowNumber}: ${error}`);
+            return;
+        }
 
-    const newPayment = {
-        type: 'payment',
-        id: Date.now().toString(),
-        member_id: memberId,
-        amount: amount,
-        date: date,
-        payment_method: paymentMethod,
-        note: note
-    };
+        if (isRecordLocked(record)) {
+            errors.push(`Row ${rowNumber}: ${formatMonthKey(getMonthKey(getRecordDate(record)))} is closed`);
+            return;
+        }
 
-    const result = await createRecord(newPayment);
+        if (record.type !== 'meal_entry') {
+            plan.created.push({ ...record, id: `${idPrefix}_${rowNumber}` });
+            return;
+        }
 
-    if (result.isOk) {
-        showToast(`Payment added successfully!`);
-        closeAddPaymentModal();
-    } else {
-        showToast('Failed to add payment. Please try again.');
+        // Meal rows set the day's count, the same way the meal grid does
+        const mealKey = `${record.member_id}:${record.meal_date}`;
+        if (seenMealKeys.has(mealKey)) {
+            errors.push(`Row ${rowNumber}: duplicate meal row for ${getMemberName(record.member_id)} on ${record.meal_date}`);
+            return;
+        }
+        seenMealKeys.add(mealKey);
+
+        const existingMeal = mealEntries.find(m => m.member_id === record.member_id && m.meal_date === record.meal_date);
+        const isEmpty = isEmptyMealEntry(record);
+        if (existingMeal && isEmpty) {
+            plan.deleted.push(existingMeal);
+        } else if (existingMeal) {
+            const { type, member_id, meal_date, ...mealValues } = record;
+            plan.updated.push({ ...existingMeal, ...mealValues });
+        } else if (!isEmpty) {
+            plan.created.push({ ...record, id: `${idPrefix}_${record.member_id}_${rowNumber}` });
+        }
+    });
+
+    const resultingCount = getRecordCountAfter(plan.created.length - plan.deleted.length, plan.created.length + plan.updated.length + plan.deleted.length);
+    if (exceedsRecordLimit(resultingCount)) {
+        errors.push(`Import would exceed the maximum of ${sdkRecordLimit} records (${resultingCount})`);
+        plan.blocked = true;
     }
 
-    submitBtn.disabled = false;
-    submitText.innerHTML = '✓ Add Payment';
+    return plan;
 }
 
-async function deletePayment(backendId) {
-    const payment = payments.find(p => p.__backendId === backendId);
-    if (!payment) return;
+function handleCsvFileSelected(e) {
+    const file = e.target.files[0];
+    pendingCsvImport = null;
 
-    const confirmDiv = document.createElement('div');
-    confirmDiv.className = 'toast show';
-    confirmDiv.innerHTML = `
-        Delete payment? 
-        <button class="btn btn-danger btn-sm" onclick="confirmDeletePayment('${backendId}')" style="margin-left: 12px;">Confirm</button>
-        <button class="btn btn-outline btn-sm" onclick="cancelDelete()" style="margin-left: 8px; color: white; border-color: white;">Cancel</button>
-      `;
-    document.body.appendChild(confirmDiv);
+    if (!file) {
+        renderCsvImportPreview();
+        return;
+    }
 
-    setTimeout(() => {
-        if (confirmDiv.parentNode) confirmDiv.remove();
-    }, 5000);
+    const reader = new FileReader();
+    reader.onload = () => {
+        pendingCsvImport = { fileName: file.name, text: reader.result };
+        renderCsvImportPreview();
+    };
+    reader.readAsText(file);
 }
 
-window.confirmDeletePayment = async function (backendId) {
-    document.querySelectorAll('.toast').forEach(t => t.remove());
+function renderCsvImportPreview() {
+    const container = document.getElementById('csv-import-preview-container');
 
-    const payment = payments.find(p => p.__backendId === backendId);
-    if (!payment) return;
+    if (!pendingCsvImport) {
+        container.innerHTML = '';
+        return;
+    }
 
-    const result = await deleteRecord(payment);
+    const view = document.getElementById('csv-import-type').value;
+    const plan = buildCsvImportPlan(view, pendingCsvImport.text);
+    pendingCsvImport.plan = plan;
+    const changeCount = plan.created.length + plan.updated.length + plan.deleted.length;
+
+    container.innerHTML = `
+        <div class="import-preview">
+          <div class="card-title" style="margin-bottom: 12px;">Preview: ${pendingCsvImport.fileName}</div>
+          <div class="settlement-rates">
+            <span>Rows: <strong>${plan.rowCount}</strong></span>
+            <span>New: <strong>${plan.created.length}</strong></span>
+            <span>Updated: <strong>${plan.updated.length}</strong></span>
+            <span>Removed: <strong>${plan.deleted.length}</strong></span>
+            <span>Errors: <strong>${plan.errors.length}</strong></span>
+          </div>
+          ${plan.errors.length > 0 ? `
+            <div class="import-issues">
+              <strong>Rows with errors will be skipped:</strong>
+              <ul>${plan.errors.slice(0, 50).map(error => `<li>${error}</li>`).join('')}</ul>
+              ${plan.errors.length > 50 ? `<div>…and ${plan.errors.length - 50} more</div>` : ''}
+            </div>
+          ` : ''}
+          <div class="modal-actions">
+            <button class="btn btn-outline btn-block" onclick="cancelCsvImport()">Cancel</button>
+            <button class="btn btn-success btn-block" onclick="confirmCsvImport()" ${changeCount === 0 || plan.blocked ? 'disabled' : ''}>✓ Import ${changeCount} Changes</button>
+          </div>
+        </div>
+      `;
+}
+
+window.confirmCsvImport = async function () {
+    if (!pendingCsvImport || !pendingCsvImport.plan || pendingCsvImport.plan.blocked) return;
+
+    const { created, updated, deleted } = pendingCsvImport.plan;
+    const result = await applyRecordBatch({ created, updated, deleted });
 
     if (result.isOk) {
-        showToast(`Payment deleted successfully`);
+        showToast(`Imported ${created.length + updated.length + deleted.length} changes`);
+        cancelCsvImport();
     } else {
-        showToast('Failed to delete payment');
+        showToast(result.error || 'Failed to import CSV');
     }
 };
 
-window.cancelDelete = function () {
-    document.querySelectorAll('.toast').forEach(t => t.remove());
+window.cancelCsvImport = function () {
+    pendingCsvImport = null;
+    document.getElementById('csv-import-file').value = '';
+    renderCsvImportPreview();
 };
 
 // PDF Report Generation using jsPDF
@@ -1178,17 +5597,18 @@ function generatePDFReport() {
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
 
-    const report = BachelorHouseMealManager.settlementReport();
-    const totalExpense = BachelorHouseMealManager.totalExpense();
-    const totalDeposits = BachelorHouseMealManager.totalDeposits();
-    const totalDue = BachelorHouseMealManager.totalDue();
-    const totalMeals = members.reduce((sum, m) => {
-        const memberObj = new Member(m);
-        return sum + memberObj.getMonthlyMealTotal();
-    }, 0);
-    const mealRate = totalMeals > 0 ? totalExpense / totalMeals : 0;
+    const monthKey = getSelectedMonthKey();
+    const report = BachelorHouseMealManager.settlementReport(monthKey);
+    const totalExpense = BachelorHouseMealManager.totalExpense(monthKey);
+    const totalDeposits = BachelorHouseMealManager.totalDeposits(monthKey, report);
+    const totalDue = BachelorHouseMealManager.totalDue(monthKey, report);
+    const totalMeals = report.reduce((sum, m) => sum + m.monthly_meals, 0);
+    const mealRates = describeMealRates(monthKey, '');
+    const monthBills = bills.filter(b => getMonthKey(b.date) === monthKey);
+    const monthPayments = payments.filter(p => getMonthKey(p.date) === monthKey);
+    const closed = getMonthClose(monthKey);
 
-    const monthYear = currentDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+    const monthYear = formatMonthKey(monthKey);
 
     // Header
     doc.setFontSize(20);
@@ -1197,7 +5617,7 @@ function generatePDFReport() {
 
     doc.setFontSize(12);
     doc.setTextColor(100, 100, 100);
-    doc.text(monthYear, 105, 28, { align: 'center' });
+    doc.text(closed ? `${monthYear} (Closed)` : monthYear, 105, 28, { align: 'center' });
     doc.text(`Generated: ${new Date().toLocaleDateString('en-US')}`, 105, 34, { align: 'center' });
 
     // Summary boxes
@@ -1237,44 +5657,54 @@ function generatePDFReport() {
     doc.text('Total Meals', 180, yPos + 7, { align: 'center' });
     doc.setFontSize(14);
     doc.setTextColor(155, 89, 182);
-    doc.text(`${totalMeals}`, 180, yPos + 15, { align: 'center' });
+    doc.text(`${formatMeals(totalMeals)}`, 180, yPos + 15, { align: 'center' });
 
-    // Info section
+    // Info section; extra meal-rate groups get a line each below the totals
+    const extraRates = mealRates.slice(1);
     yPos = 72;
     doc.setFontSize(9);
     doc.setTextColor(0, 0, 0);
     doc.setFillColor(247, 249, 252);
-    doc.rect(15, yPos, 180, 25, 'F');
-
-    doc.text(`Total Members: ${members.length} persons`, 20, yPos + 7);
-    doc.text(`Meal Rate: ${mealRate.toFixed(2)} per meal`, 20, yPos + 13);
-    doc.text(`Total Bills: ${bills.length} bills recorded`, 20, yPos + 19);
-    doc.text(`Total Payments: ${payments.length} payments received`, 110, yPos + 19);
+    doc.rect(15, yPos, 180, 25 + extraRates.length * 6, 'F');
+
+    doc.text(`Total Members: ${report.length} persons`, 20, yPos + 7);
+    const slotWeights = getHouseSettings().slot_weights;
+    doc.text(`Meal Rate (B ${slotWeights.breakfast} / L ${slotWeights.lunch} / D ${slotWeights.dinner}): ${mealRates[0]}`, 20, yPos + 13);
+    doc.text(`Fixed Costs: ${BachelorHouseMealManager.totalFixedCost(monthKey).toLocaleString()}`, 110, yPos + 7);
+    doc.text(`Total Bills: ${monthBills.length} bills recorded`, 20, yPos + 19);
+    doc.text(`Total Payments: ${monthPayments.length} payments received`, 110, yPos + 19);
+    extraRates.forEach((rate, i) => {
+        doc.text(`Meal Rate: ${rate}`, 20, yPos + 25 + i * 6);
+    });
 
     // Table
-    yPos = 105;
+    yPos = 105 + extraRates.length * 6;
     doc.setFontSize(12);
     doc.setTextColor(45, 55, 72);
     doc.text('Member Settlement Details', 15, yPos);
 
     const tableData = report.map((m, i) => {
-        const advancePayment = m.total_paid - m.total_bills;
         return [
             (i + 1).toString(),
             m.name,
-            new Date(m.join_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-            m.monthly_meals.toString(),
-            `${m.total_paid.toLocaleString()}`,
+            formatResidentDays(m.resident_days, monthKey),
+            formatBalance(m.opening_balance).replace(currencySymbol, ''),
+            formatMeals(m.monthly_meals),
+            formatMeals(m.guest_meals || 0),
+            `${m.meal_cost.toFixed(0).toLocaleString()}`,
+            `${m.fixed_cost.toFixed(0).toLocaleString()}`,
             `${m.total_bills.toFixed(0).toLocaleString()}`,
+            `${(m.spent_on_house || 0).toFixed(0).toLocaleString()}`,
+            `${m.total_paid.toLocaleString()}`,
             m.total_due > 0 ? `${m.total_due.toFixed(0).toLocaleString()}` : '0',
-            advancePayment > 0 ? `${advancePayment.toFixed(0).toLocaleString()}` : '0',
+            m.advance > 0 ? `${m.advance.toFixed(0).toLocaleString()}` : '0',
             m.total_due > 0 ? 'Pending' : 'Paid'
         ];
     });
 
     doc.autoTable({
         startY: yPos + 5,
-        head: [['#', 'Name', 'Join', 'Meals', 'Paid', 'Bills', 'Due', 'Advance', 'Status']],
+        head: [['#', 'Name', 'Days', 'Opening', 'Meals', 'Guests', 'Meal Cost', 'Fixed', 'Bills', 'Spent', 'Paid', 'Due', 'Advance', 'Status']],
         body: tableData,
         theme: 'grid',
         headStyles: {
@@ -1291,18 +5721,65 @@ function generatePDFReport() {
             fillColor: [247, 249, 252]
         },
         columnStyles: {
-            0: { cellWidth: 8, halign: 'center' },
-            1: { cellWidth: 30 },
-            2: { cellWidth: 20 },
-            3: { cellWidth: 12, halign: 'center' },
-            4: { cellWidth: 22, halign: 'right' },
-            5: { cellWidth: 22, halign: 'right' },
-            6: { cellWidth: 20, halign: 'right' },
-            7: { cellWidth: 22, halign: 'right' },
-            8: { cellWidth: 18, halign: 'center' }
+            0: { cellWidth: 6, halign: 'center' },
+            1: { cellWidth: 18 },
+            2: { cellWidth: 10, halign: 'center' },
+            3: { cellWidth: 14, halign: 'right' },
+            4: { cellWidth: 11, halign: 'center' },
+            5: { cellWidth: 10, halign: 'center' },
+            6: { cellWidth: 14, halign: 'right' },
+            7: { cellWidth: 14, halign: 'right' },
+            8: { cellWidth: 14, halign: 'right' },
+            9: { cellWidth: 14, halign: 'right' },
+            10: { cellWidth: 14, halign: 'right' },
+            11: { cellWidth: 14, halign: 'right' },
+            12: { cellWidth: 14, halign: 'right' },
+            13: { cellWidth: 15, halign: 'center' }
         }
     });
 
+    // Settlement plan
+    const plan = BachelorHouseMealManager.settlementPlan(monthKey);
+    yPos = doc.lastAutoTable.finalY + 12;
+    if (yPos > 250) {
+        doc.addPage();
+        yPos = 20;
+    }
+
+    doc.setFontSize(12);
+    doc.setTextColor(45, 55, 72);
+    doc.text('Settlement Plan (Who Pays Whom)', 15, yPos);
+
+    if (plan.length === 0) {
+        doc.setFontSize(9);
+        doc.setTextColor(113, 128, 150);
+        doc.text('Everyone is settled up.', 15, yPos + 7);
+        doc.lastAutoTable.finalY = yPos + 7;
+    } else {
+        doc.autoTable({
+            startY: yPos + 5,
+            head: [['#', 'From', 'To', 'Amount']],
+            body: plan.map((t, i) => [(i + 1).toString(), getPartyName(t.from), getPartyName(t.to), t.amount.toLocaleString()]),
+            theme: 'grid',
+            headStyles: {
+                fillColor: [0, 196, 140],
+                textColor: [255, 255, 255],
+                fontSize: 8,
+                fontStyle: 'bold'
+            },
+            bodyStyles: {
+                fontSize: 8,
+                textColor: [45, 55, 72]
+            },
+            columnStyles: {
+                0: { cellWidth: 8, halign: 'center' },
+                1: { cellWidth: 60 },
+                2: { cellWidth: 60 },
+                3: { cellWidth: 32, halign: 'right' }
+            }
+        });
+    }
+
     // Footer
     const finalY = doc.lastAutoTable.finalY + 15;
     doc.setFontSize(8);
@@ -1316,24 +5793,211 @@ function generatePDFReport() {
     showToast('📄 PDF downloaded successfully!');
 }
 
+function generateMemberStatementPDF(memberId) {
+    if (typeof window.jspdf === 'undefined') {
+        showToast('⚠️ PDF library is loading... Please try again in a moment');
+        return;
+    }
+
+    const member = members.find(m => m.id === memberId);
+    if (!member) return;
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+
+    const monthKey = getSelectedMonthKey();
+    const monthYear = formatMonthKey(monthKey);
+    const ledger = getMemberLedger(member.id, monthKey);
+    const memberPayments = getMemberPayments(member.id, monthKey);
+    const closingBalance = ledger.length > 0 ? ledger[ledger.length - 1].closing_balance : 0;
+
+    // Header
+    doc.setFontSize(20);
+    doc.setTextColor(11, 95, 255);
+    doc.text('Member Statement', 105, 20, { align: 'center' });
+
+    doc.setFontSize(12);
+    doc.setTextColor(100, 100, 100);
+    doc.text(`${member.name} - up to ${monthYear}`, 105, 28, { align: 'center' });
+    doc.text(`Generated: ${new Date().toLocaleDateString('en-US')}`, 105, 34, { align: 'center' });
+
+    // Profile
+    let yPos = 42;
+    doc.setFontSize(9);
+    doc.setTextColor(0, 0, 0);
+    doc.setFillColor(247, 249, 252);
+    doc.rect(15, yPos, 180, 19, 'F');
+    doc.text(`Mobile: ${member.phone || 'N/A'}`, 20, yPos + 7);
+    doc.text(`Joined: ${formatShortDate(member.join_date)}${hasLeft(member) ? `   Left: ${formatShortDate(member.leave_date)}` : ''}`, 110, yPos + 7);
+    doc.text(`Closing Balance: ${formatBalance(closingBalance).replace(currencySymbol, '')}`, 20, yPos + 13);
+    doc.text(closingBalance < 0 ? 'Amount due to the house' : 'Nothing due', 110, yPos + 13);
+
+    // Ledger
+    yPos = 70;
+    doc.setFontSize(12);
+    doc.setTextColor(45, 55, 72);
+    doc.text('Monthly Ledger', 15, yPos);
+
+    doc.autoTable({
+        startY: yPos + 5,
+        head: [['Month', 'Opening', 'Meals', 'Bill Share', 'Paid', 'Closing']],
+        body: ledger.map(row => [
+            `${formatMonthKey(row.month)}${row.closed ? ' (Closed)' : ''}`,
+            formatBalance(row.opening_balance).replace(currencySymbol, ''),
+            formatMeals(row.meals),
+            row.bill_share.toFixed(0).toLocaleString(),
+            row.paid.toLocaleString(),
+            formatBalance(row.closing_balance).replace(currencySymbol, '')
+        ]),
+        theme: 'grid',
+        headStyles: {
+            fillColor: [11, 95, 255],
+            textColor: [255, 255, 255],
+            fontSize: 8,
+            fontStyle: 'bold'
+        },
+        bodyStyles: {
+            fontSize: 8,
+            textColor: [45, 55, 72]
+        },
+        alternateRowStyles: {
+            fillColor: [247, 249, 252]
+        },
+        columnStyles: {
+            0: { cellWidth: 40 },
+            1: { cellWidth: 28, halign: 'right' },
+            2: { cellWidth: 24, halign: 'center' },
+            3: { cellWidth: 30, halign: 'right' },
+            4: { cellWidth: 28, halign: 'right' },
+            5: { cellWidth: 30, halign: 'right' }
+        }
+    });
+
+    // Payments
+    yPos = doc.lastAutoTable.finalY + 12;
+    if (yPos > 250) {
+        doc.addPage();
+        yPos = 20;
+    }
+
+    doc.setFontSize(12);
+    doc.setTextColor(45, 55, 72);
+    doc.text('Payments', 15, yPos);
+
+    if (memberPayments.length === 0) {
+        doc.setFontSize(9);
+        doc.setTextColor(113, 128, 150);
+        doc.text('No payments recorded.', 15, yPos + 7);
+        doc.lastAutoTable.finalY = yPos + 7;
+    } else {
+        doc.autoTable({
+            startY: yPos + 5,
+            head: [['Date', 'Payment', 'Amount', 'Method', 'Note']],
+            body: memberPayments.map(p => [
+                formatShortDate(p.date),
+                describePaymentParties(p),
+                p.amount.toLocaleString(),
+                p.payment_method,
+                p.note || '-'
+            ]),
+            theme: 'grid',
+            headStyles: {
+                fillColor: [0, 196, 140],
+                textColor: [255, 255, 255],
+                fontSize: 8,
+                fontStyle: 'bold'
+            },
+            bodyStyles: {
+                fontSize: 8,
+                textColor: [45, 55, 72]
+            },
+            columnStyles: {
+                0: { cellWidth: 28 },
+                1: { cellWidth: 52 },
+                2: { cellWidth: 26, halign: 'right' },
+                3: { cellWidth: 26 },
+                4: { cellWidth: 48 }
+            }
+        });
+    }
+
+    // Footer
+    const finalY = doc.lastAutoTable.finalY + 15;
+    doc.setFontSize(8);
+    doc.setTextColor(113, 128, 150);
+    doc.text('Bachelor House Meal Manager - Member Statement', 105, finalY, { align: 'center' });
+    doc.text('Please contact house manager for any discrepancies', 105, finalY + 5, { align: 'center' });
+
+    doc.save(`Statement_${member.name.replace(/\s+/g, '_')}_${monthYear.replace(' ', '_')}.pdf`);
+    showToast('📄 Statement downloaded successfully!');
+}
+
 // Toast
-function showToast(message) {
+let toastTimer = null;
+
+// Pass the batch id from a save result to offer an Undo button
+function showToast(message, undoBatchId = null) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toast-message');
+    const undoBtn = document.getElementById('toast-undo');
 
     toastMessage.textContent = message;
+    undoBtn.style.display = undoBatchId ? 'inline-flex' : 'none';
+    undoBtn.onclick = undoBatchId ? () => undoChange(undoBatchId) : null;
     toast.classList.add('show');
 
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, undoBatchId ? 6000 : 3000);
 }
 
 // Month Navigation
-let currentDate = new Date();
+function readMonthFromUrl() {
+    const month = new URLSearchParams(window.location.search).get('month');
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(month || '') ? month : null;
+}
+
+function writeMonthToUrl(monthKey, replace = false) {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get('month') === monthKey) return;
+
+    url.searchParams.set('month', monthKey);
+    if (replace) {
+        window.history.replaceState({ month: monthKey }, '', url);
+    } else {
+        window.history.pushState({ month: monthKey }, '', url);
+    }
+}
+
+// Every page renders for this month
+function setSelectedMonth(monthKey, updateUrl = true) {
+    selectedMonth = monthKey;
+    if (updateUrl) writeMonthToUrl(monthKey);
+
+    syncMealDateToMonth();
+    updateMonthDisplay();
+    updateAllViews();
+    promptRecurringBills();
+}
+
+// Keep the meal date picker inside the selected month
+function syncMealDateToMonth() {
+    const monthKey = getSelectedMonthKey();
+    const mealDatePicker = document.getElementById('meal-date-picker');
+
+    if (getMonthKey(selectedMealDate) !== monthKey) {
+        const today = toDateKey(new Date());
+        selectedMealDate = getMonthKey(today) === monthKey ? today : `${monthKey}-01`;
+    }
+
+    mealDatePicker.min = `${monthKey}-01`;
+    mealDatePicker.max = `${monthKey}-${String(getDaysInMonth(monthKey)).padStart(2, '0')}`;
+    mealDatePicker.value = selectedMealDate;
+}
 
 function updateMonthDisplay() {
     const monthDisplay = document.getElementById('current-month');
-    const options = { year: 'numeric', month: 'long' };
-    monthDisplay.textContent = currentDate.toLocaleDateString('en-US', options);
+    monthDisplay.textContent = formatMonthKey(getSelectedMonthKey());
+    document.getElementById('dashboard-month-picker').value = getSelectedMonthKey();
 }
@@ -0,0 +1,114 @@
+// In-memory sync server for local testing
+// Implements the contract in README.md; data is lost when the process stops.
+// Usage: node sync-server/mock-server.js [port]
+const http = require('http');
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+
+// __backendId -> { seq, change }; deletes are kept as tombstones so other devices learn about them
+const entries = new Map();
+let seq = 0;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function validateOperation(op) {
+    if (!op || typeof op !== 'object') return 'operation must be an object';
+    if (op.op !== 'put' && op.op !== 'delete') return 'op must be "put" or "delete"';
+    if (typeof op.__backendId !== 'string' || !op.__backendId) return '__backendId is required';
+    if (typeof op.updated_at !== 'string') return 'updated_at must be a string';
+    if (op.op === 'put' && (!op.record || typeof op.record !== 'object')) return 'put needs a record';
+    return null;
+}
+
+// The newer updated_at wins; ties are accepted so retries of the same operation are harmless
+function applyOperation(op) {
+    const stored = entries.get(op.__backendId);
+    if (stored && op.updated_at < stored.change.updated_at) {
+        return { __backendId: op.__backendId, status: 'conflict', record: stored.change };
+    }
+
+    const change = op.op === 'delete' ?
+        { __backendId: op.__backendId, type: op.type, updated_at: op.updated_at, deleted: true } :
+        { ...op.record, __backendId: op.__backendId, updated_at: op.updated_at };
+    entries.set(op.__backendId, { seq: ++seq, change });
+    return { __backendId: op.__backendId, status: 'applied' };
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/records') {
+        const since = Number(url.searchParams.get('since') || 0);
+        const changes = [...entries.values()]
+            .filter(entry => entry.seq > since)
+            .sort((a, b) => a.seq - b.seq)
+            .map(entry => entry.change);
+        send(res, 200, { changes, cursor: seq });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/records/batch') {
+        let body;
+        try {
+            body = await readJson(req);
+        } catch (e) {
+            send(res, 400, { error: 'Body is not valid JSON' });
+            return;
+        }
+
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            send(res, 400, { error: 'Body must be a JSON object' });
+            return;
+        }
+
+        const operations = Array.isArray(body.operations) ? body.operations : null;
+        if (!operations) {
+            send(res, 400, { error: 'operations must be an array' });
+            return;
+        }
+        const invalid = operations.map(validateOperation).findIndex(Boolean);
+        if (invalid !== -1) {
+            send(res, 400, { error: `operations[${invalid}]: ${validateOperation(operations[invalid])}` });
+            return;
+        }
+
+        send(res, 200, { results: operations.map(applyOperation), cursor: seq });
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+});
+
+server.listen(port, () => {
+    console.log(`Mock sync server listening on http://localhost:${port}`);
+});